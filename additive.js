@@ -0,0 +1,122 @@
+// Additive voice: each note is the sum of N partials with editable amplitudes.
+// Harmonic spectra are played by a single oscillator with a PeriodicWave; when the partials are
+// stretched (inharmonic, e.g. the bell preset) every partial gets its own oscillator instead.
+// Shared by live playback (playTone/stopTone in main.js) and offline rendering (renderer.js).
+const AdditiveVoice = {
+    partialCount: 16,
+    amplitudes: [], // amplitudes[i] is partial i + 1, 0..1
+    stretch: 0, // Partial n sounds at n^(1 + stretch) times the fundamental; 0 = harmonic
+    presetName: 'saw',
+    level: 0.25, // Same held volume as the sine voice
+    releaseTime: 0.5,
+    periodicWaves: new WeakMap(), // context -> PeriodicWave for the current amplitudes
+    peakScale: null, // Cached getPeakScale() for the current amplitudes
+
+    presets: {
+        saw: { name: 'Saw-like (1/n)', stretch: 0, amplitude: n => 1 / n },
+        square: { name: 'Square-like (odd 1/n)', stretch: 0, amplitude: n => (n % 2 === 1 ? 1 / n : 0) },
+        clarinet: { name: 'Clarinet', stretch: 0, amplitude: n => (n % 2 === 1 ? Math.pow(n, -0.9) : 0.04 / n) },
+        bell: { name: 'Bell (stretched)', stretch: 0.08, amplitude: n => Math.pow(n, -0.7) * (n % 3 === 0 ? 0.5 : 1) }
+    },
+
+    applyPreset(presetName) {
+        const preset = this.presets[presetName];
+        if (!preset) return;
+        this.presetName = presetName;
+        this.stretch = preset.stretch;
+        this.amplitudes = Array.from({ length: this.partialCount }, (_, i) => preset.amplitude(i + 1));
+        this.periodicWaves = new WeakMap();
+        this.peakScale = null;
+    },
+
+    setAmplitude(partialIndex, amplitude) {
+        this.amplitudes[partialIndex] = Math.max(0, Math.min(1, amplitude));
+        this.presetName = 'custom';
+        this.periodicWaves = new WeakMap();
+        this.peakScale = null;
+    },
+
+    setStretch(stretch) {
+        this.stretch = Math.max(0, stretch);
+        this.presetName = 'custom';
+    },
+
+    // Factor that brings the harmonic sum of the partials to a peak of 1, as a PeriodicWave is normalized.
+    // Stretched partials are scaled by it too, so changing the stretch keeps the loudness (the partials keep their levels).
+    getPeakScale() {
+        if (this.peakScale === null) {
+            const sampleCount = 2048; // Per period, enough to find the peak of 16 partials
+            let peak = 0;
+            for (let i = 0; i < sampleCount; i++) {
+                const phase = 2 * Math.PI * i / sampleCount;
+                const value = this.amplitudes.reduce((sum, amplitude, partial) => sum + amplitude * Math.sin((partial + 1) * phase), 0);
+                peak = Math.max(peak, Math.abs(value));
+            }
+            this.peakScale = peak > 0 ? 1 / peak : 1;
+        }
+        return this.peakScale;
+    },
+
+    getPeriodicWave(context) {
+        let wave = this.periodicWaves.get(context);
+        if (!wave) {
+            const real = new Float32Array(this.partialCount + 1);
+            const imag = new Float32Array(this.partialCount + 1); // Sine terms; index 0 is DC
+            this.amplitudes.forEach((amplitude, i) => {
+                imag[i + 1] = amplitude;
+            });
+            wave = context.createPeriodicWave(real, imag);
+            this.periodicWaves.set(context, wave);
+        }
+        return wave;
+    },
+
+    start(context, destination, frequency, velocity, when) {
+        const gainNode = context.createGain();
+        const level = this.level * velocity;
+        gainNode.gain.setValueAtTime(level, when); // Hold this volume until release
+        gainNode.connect(destination);
+
+        const oscillators = [];
+        if (this.stretch === 0) {
+            const oscillator = context.createOscillator();
+            oscillator.setPeriodicWave(this.getPeriodicWave(context)); // PeriodicWave is normalized to full scale
+            oscillator.frequency.setValueAtTime(frequency, when);
+            oscillator.connect(gainNode);
+            oscillators.push(oscillator);
+        } else {
+            const scale = this.getPeakScale();
+            this.amplitudes.forEach((amplitude, i) => {
+                const partialFrequency = frequency * Math.pow(i + 1, 1 + this.stretch);
+                if (amplitude === 0 || partialFrequency >= context.sampleRate / 2) return;
+                const oscillator = context.createOscillator();
+                oscillator.frequency.setValueAtTime(partialFrequency, when);
+                const partialGain = context.createGain();
+                partialGain.gain.setValueAtTime(amplitude * scale, when);
+                oscillator.connect(partialGain);
+                partialGain.connect(gainNode);
+                oscillators.push(oscillator);
+            });
+        }
+        if (oscillators.length === 0) {
+            // Every partial is silent or above Nyquist. A 0 Hz sine outputs silence but is started and stopped
+            // like a partial, so the voice still ends (onended) and its VoiceManager entry is freed.
+            const placeholder = context.createOscillator();
+            placeholder.frequency.setValueAtTime(0, when);
+            placeholder.connect(gainNode);
+            oscillators.push(placeholder);
+        }
+        oscillators.forEach(oscillator => oscillator.start(when));
+        return { oscillators, gainNode, level };
+    },
+
+    // Same exponential release ramp as the sine voice
+    release(voice, when) {
+        voice.gainNode.gain.cancelScheduledValues(when);
+        voice.gainNode.gain.setValueAtTime(voice.level, when);
+        voice.gainNode.gain.exponentialRampToValueAtTime(0.00001, when + this.releaseTime);
+        voice.oscillators.forEach(oscillator => oscillator.stop(when + this.releaseTime + 0.01));
+    }
+};
+
+AdditiveVoice.applyPreset(AdditiveVoice.presetName);
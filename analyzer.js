@@ -0,0 +1,157 @@
+// Live analyzer for the master bus: an FFT spectrum on a log-frequency axis with a marker at every cell's
+// frequency (labelled like the grid), or an oscilloscope view of the waveform.
+const Analyzer = {
+    analyser: null,
+    canvas: null,
+    ctx: null,
+    view: 'spectrum', // 'spectrum' or 'scope'
+    scopeWindow: 0.05, // Seconds of waveform shown by the oscilloscope
+    minFrequency: 20, // Left edge of the spectrum
+    minDecibels: -110,
+    maxDecibels: -10,
+    frameRequest: null,
+    frequencyData: null,
+    timeData: null,
+
+    init(analyser, canvas) {
+        this.analyser = analyser;
+        this.analyser.minDecibels = this.minDecibels;
+        this.analyser.maxDecibels = this.maxDecibels;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.frequencyData = new Float32Array(analyser.frequencyBinCount);
+        this.timeData = new Float32Array(analyser.fftSize);
+    },
+
+    get maxFrequency() {
+        return this.analyser.context.sampleRate / 2;
+    },
+
+    // Redraws on every animation frame until stop() is called
+    start() {
+        if (this.frameRequest !== null) return;
+        const frame = () => {
+            this.draw();
+            this.frameRequest = requestAnimationFrame(frame);
+        };
+        this.frameRequest = requestAnimationFrame(frame);
+    },
+
+    stop() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    },
+
+    draw() {
+        this.ctx.fillStyle = '#1d1d1d';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.view === 'scope') {
+            this.drawScope();
+        } else {
+            this.drawHarmonicMarkers();
+            this.drawSpectrum();
+        }
+    },
+
+    frequencyToX(frequency) {
+        return this.canvas.width * Math.log(frequency / this.minFrequency) / Math.log(this.maxFrequency / this.minFrequency);
+    },
+
+    drawSpectrum() {
+        const { ctx, canvas } = this;
+        this.analyser.getFloatFrequencyData(this.frequencyData);
+        const binWidth = this.analyser.context.sampleRate / this.analyser.fftSize;
+        ctx.strokeStyle = '#ffd54f';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        let started = false;
+        for (let bin = 1; bin < this.frequencyData.length; bin++) {
+            const frequency = bin * binWidth;
+            if (frequency < this.minFrequency) continue;
+            const level = (this.frequencyData[bin] - this.minDecibels) / (this.maxDecibels - this.minDecibels);
+            const x = this.frequencyToX(frequency);
+            const y = canvas.height - Math.max(0, Math.min(1, level)) * (canvas.height - 14);
+            if (started) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                started = true;
+            }
+        }
+        ctx.stroke();
+    },
+
+    // One vertical line per cell frequency. Labels that would overlap the previous one are skipped,
+    // so the crowded upper harmonics stay readable.
+    drawHarmonicMarkers() {
+        const { ctx, canvas } = this;
+        const markers = [];
+        for (let linearIndex = 0; linearIndex < Tuning.cellCount; linearIndex++) {
+            const frequency = Tuning.getFrequency(linearIndex);
+            if (frequency >= this.minFrequency && frequency <= this.maxFrequency) {
+                markers.push({ x: this.frequencyToX(frequency), label: Tuning.getLabel(linearIndex), isReference: linearIndex === Tuning.referenceCellIndex });
+            }
+        }
+        markers.sort((a, b) => a.x - b.x);
+
+        ctx.font = '9px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        let lastLabelRight = -Infinity;
+        markers.forEach(marker => {
+            ctx.strokeStyle = marker.isReference ? '#4CAF50' : 'rgba(76, 175, 80, 0.35)';
+            ctx.beginPath();
+            ctx.moveTo(marker.x, 12);
+            ctx.lineTo(marker.x, canvas.height);
+            ctx.stroke();
+
+            const labelWidth = ctx.measureText(marker.label).width;
+            if (marker.x - labelWidth / 2 > lastLabelRight + 2) {
+                ctx.fillStyle = marker.isReference ? '#8bc34a' : '#aaa';
+                ctx.fillText(marker.label, marker.x, 1);
+                lastLabelRight = marker.x + labelWidth / 2;
+            }
+        });
+    },
+
+    // Waveform of the last scopeWindow seconds, starting at a rising zero crossing so periodic sounds stand still
+    drawScope() {
+        const { ctx, canvas } = this;
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        const sampleCount = Math.min(this.timeData.length, Math.round(this.scopeWindow * this.analyser.context.sampleRate));
+        let start = 0;
+        for (let i = 1; i < this.timeData.length - sampleCount; i++) {
+            if (this.timeData[i - 1] < 0 && this.timeData[i] >= 0) {
+                start = i;
+                break;
+            }
+        }
+
+        ctx.strokeStyle = '#555';
+        ctx.beginPath();
+        ctx.moveTo(0, canvas.height / 2);
+        ctx.lineTo(canvas.width, canvas.height / 2);
+        ctx.stroke();
+
+        ctx.strokeStyle = '#ffd54f';
+        ctx.beginPath();
+        for (let i = 0; i < sampleCount; i++) {
+            const x = i / (sampleCount - 1) * canvas.width;
+            const y = canvas.height / 2 * (1 - this.timeData[start + i]);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '9px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${Math.round(this.scopeWindow * 1000)} ms`, canvas.width - 2, 1);
+    }
+};
@@ -0,0 +1,89 @@
+// Chord mode: one click or key plays a whole ratio set, e.g. 4:5:6:7 (otonal) or 1/4:1/5:1/6 (utonal).
+// The pressed cell plays the first member and every other member keeps its ratio to it,
+// so 4:5:6:7 pressed on the 4x cell plays 4x, 5x, 6x and 7x.
+// User-defined sets are saved in localStorage.
+const Chords = {
+    storageKey: 'harmkey-chord-sets',
+    presets: [
+        { name: 'Otonal triad', ratios: '4:5:6' },
+        { name: 'Utonal triad', ratios: '1/4:1/5:1/6' },
+        { name: 'Otonal tetrad', ratios: '4:5:6:7' },
+        { name: 'Utonal tetrad', ratios: '1/4:1/5:1/6:1/7' },
+        { name: 'Harmonics 8-12', ratios: '8:9:10:11:12' }
+    ],
+    userSets: [], // { name, ratios } saved by the user
+
+    // Parses "4:5:6" or "1/4:1/5:1/6" into [{ numerator, denominator }]. Throws an Error with a readable message.
+    parse(text) {
+        const terms = String(text).split(':').map(term => term.trim());
+        if (terms.length < 2) {
+            throw new Error('Enter at least two ratios separated by ":" (e.g. 4:5:6 or 1/4:1/5:1/6).');
+        }
+        return terms.map((term, index) => {
+            const match = term.match(/^(\d+)(?:\/(\d+))?$/);
+            const numerator = match ? parseInt(match[1], 10) : 0;
+            const denominator = match && match[2] !== undefined ? parseInt(match[2], 10) : 1;
+            if (!match || numerator <= 0 || denominator <= 0) {
+                throw new Error(`Member ${index + 1} ("${term}") is not a positive whole number or fraction.`);
+            }
+            return { numerator, denominator };
+        });
+    },
+
+    // Ratios (to the fundamental, in lowest terms) of every member when the set is played from rootRatio
+    getMemberRatios(rootRatio, ratios) {
+        const [first, ...others] = this.parse(ratios);
+        return [rootRatio].concat(others.map(term => Tuning.reduceRatio(
+            rootRatio.numerator * term.numerator * first.denominator,
+            rootRatio.denominator * term.denominator * first.numerator
+        )));
+    },
+
+    getAll() {
+        return this.presets.concat(this.userSets);
+    },
+
+    find(name) {
+        return this.getAll().find(set => set.name === name) || null;
+    },
+
+    // Adds or replaces a user set. Throws an Error if the name or the ratios are invalid.
+    saveUserSet(name, ratios) {
+        const trimmedName = String(name).trim();
+        if (!trimmedName) {
+            throw new Error('Give the chord a name.');
+        }
+        if (this.presets.some(preset => preset.name === trimmedName)) {
+            throw new Error(`"${trimmedName}" is a built-in preset; choose another name.`);
+        }
+        this.parse(ratios);
+        this.userSets = this.userSets.filter(set => set.name !== trimmedName);
+        this.userSets.push({ name: trimmedName, ratios: String(ratios).trim() });
+        this.store();
+        return trimmedName;
+    },
+
+    deleteUserSet(name) {
+        this.userSets = this.userSets.filter(set => set.name !== name);
+        this.store();
+    },
+
+    // Storage can be unavailable (private mode, file:// in some browsers); chords then last for the session only
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.userSets = Array.isArray(saved) ? saved.filter(set => set && typeof set.name === 'string' && typeof set.ratios === 'string') : [];
+        } catch (e) {
+            console.warn('Chords: Could not load saved chords:', e);
+            this.userSets = [];
+        }
+    },
+
+    store() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.userSets));
+        } catch (e) {
+            console.warn('Chords: Could not save chords:', e);
+        }
+    }
+};
@@ -0,0 +1,240 @@
+// Master effects: every live voice plays into the master bus, which runs through
+// delay -> reverb -> compressor/limiter -> master volume on its way to the speakers.
+// Each effect has a parameter schema like the sound sources' ({ id, name, min, max, step, value }, or
+// { id, name, options, value } for a choice), so main.js builds its controls, and can be bypassed on its own.
+// Delay and reverb are mixed in parallel with the dry signal; bypassing one fades its wet signal out,
+// so a bypassed effect never cuts off or clicks. The reverb's impulse response is generated, not downloaded.
+// The offline renderer builds its own chain with the same settings, so WAV files sound like live playback.
+const MasterEffects = {
+    chain: null, // Live chain, created by init
+    output: null, // Master volume of the live chain; connect it to the speakers and the analyzer
+    maxDelayTime: 4, // Seconds; the longest synced delay (a quarter note at 20 BPM, 3 s) fits
+    maxTailTime: 10, // Seconds of delay echoes rendered after a take at most
+    smoothing: 0.02, // Time constant of parameter changes, to avoid zipper noise and clicks
+
+    // Note lengths the delay can sync to, in beats (quarter notes) at the sequencer tempo
+    delaySyncBeats: { '1/4': 1, '1/8.': 0.75, '1/4T': 2 / 3, '1/8': 0.5, '1/8T': 1 / 3, '1/16': 0.25 },
+
+    effects: [
+        {
+            id: 'delay',
+            name: 'Delay',
+            bypassed: true,
+            params: [
+                { id: 'sync', name: 'Sync', options: { '': 'Off', '1/4': '1/4', '1/8.': '1/8 dotted', '1/4T': '1/4 triplet', '1/8': '1/8', '1/8T': '1/8 triplet', '1/16': '1/16' }, value: '' },
+                { id: 'time', name: 'Time (ms)', min: 10, max: 2000, step: 10, value: 375 },
+                { id: 'feedback', name: 'Feedback', min: 0, max: 0.9, step: 0.01, value: 0.35 },
+                { id: 'mix', name: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+            ]
+        },
+        {
+            id: 'reverb',
+            name: 'Reverb',
+            bypassed: true,
+            params: [
+                { id: 'decay', name: 'Decay (s)', min: 0.2, max: 8, step: 0.1, value: 2.5 },
+                { id: 'mix', name: 'Mix', min: 0, max: 1, step: 0.01, value: 0.25 }
+            ]
+        },
+        {
+            id: 'compressor',
+            name: 'Compressor / Limiter',
+            bypassed: false,
+            params: [
+                { id: 'threshold', name: 'Threshold (dB)', min: -60, max: 0, step: 1, value: -6 },
+                { id: 'ratio', name: 'Ratio', min: 1, max: 20, step: 0.5, value: 20 }, // 20:1 acts as a limiter
+                { id: 'attack', name: 'Attack (ms)', min: 0, max: 100, step: 1, value: 3 },
+                { id: 'release', name: 'Release (ms)', min: 10, max: 1000, step: 10, value: 150 }
+            ]
+        },
+        {
+            id: 'volume',
+            name: 'Master Volume',
+            bypassed: false,
+            params: [
+                { id: 'volume', name: 'Volume', min: 0, max: 1, step: 0.01, value: 0.8 }
+            ]
+        }
+    ],
+
+    init(context, input) {
+        this.chain = this.createChain(context, input);
+        this.output = this.chain.output;
+    },
+
+    // Builds the effect nodes on any AudioContext or OfflineAudioContext, fed by `input`, with the current settings.
+    // Returns the chain { context, nodes, output, impulseDecay, compressorBypassed }; connect its output onwards.
+    createChain(context, input) {
+        const nodes = {};
+
+        // Delay: input -> dry + (delay <-> feedback) -> wet, mixed into delayOut
+        nodes.delayOut = context.createGain();
+        nodes.delay = context.createDelay(this.maxDelayTime);
+        nodes.delayFeedback = context.createGain();
+        nodes.delayWet = context.createGain();
+        input.connect(nodes.delayOut);
+        input.connect(nodes.delay);
+        nodes.delay.connect(nodes.delayFeedback);
+        nodes.delayFeedback.connect(nodes.delay);
+        nodes.delay.connect(nodes.delayWet);
+        nodes.delayWet.connect(nodes.delayOut);
+
+        // Reverb: delayOut -> dry + convolver -> wet, mixed into reverbOut
+        nodes.reverbOut = context.createGain();
+        nodes.convolver = context.createConvolver();
+        nodes.reverbWet = context.createGain();
+        nodes.delayOut.connect(nodes.reverbOut);
+        nodes.delayOut.connect(nodes.convolver);
+        nodes.convolver.connect(nodes.reverbWet);
+        nodes.reverbWet.connect(nodes.reverbOut);
+
+        // Compressor, inserted between reverbOut and the master volume unless bypassed
+        nodes.compressor = context.createDynamicsCompressor();
+        nodes.compressor.knee.value = 0; // Hard knee, so the ratio-20 default limits cleanly
+        const output = context.createGain();
+        nodes.compressor.connect(output);
+
+        // impulseDecay is the decay of the current reverb impulse, so it is only regenerated when the decay changes;
+        // compressorBypassed tells whether the chain currently skips the compressor
+        const chain = { context, nodes, output, impulseDecay: null, compressorBypassed: null };
+        this.effects.forEach(effect => this.apply(effect.id, chain, true));
+        return chain;
+    },
+
+    get(effectId) {
+        return this.effects.find(effect => effect.id === effectId) || null;
+    },
+
+    getParam(effectId, paramId) {
+        return this.get(effectId).params.find(param => param.id === paramId).value;
+    },
+
+    // Sets a parameter; numbers are clamped to the schema's range and unknown choices are ignored
+    setParam(effectId, paramId, value) {
+        const effect = this.get(effectId);
+        const param = effect && effect.params.find(p => p.id === paramId);
+        if (!param) return;
+        if (param.options) {
+            if (!(value in param.options)) return;
+            param.value = value;
+        } else {
+            if (!Number.isFinite(value)) return;
+            param.value = Math.max(param.min, Math.min(param.max, value));
+        }
+        this.apply(effectId, this.chain);
+    },
+
+    setBypassed(effectId, bypassed) {
+        const effect = this.get(effectId);
+        if (!effect) return;
+        effect.bypassed = Boolean(bypassed);
+        this.apply(effectId, this.chain);
+    },
+
+    // Delay time in seconds: the synced note length at the sequencer tempo, or the free time
+    getDelayTime() {
+        const sync = this.getParam('delay', 'sync');
+        const seconds = sync ? this.delaySyncBeats[sync] * 60 / Sequencer.tempo : this.getParam('delay', 'time') / 1000;
+        return Math.min(seconds, this.maxDelayTime);
+    },
+
+    // False for parameters the current settings ignore (the free delay time while the delay is synced)
+    isParamUsed(effectId, paramId) {
+        return !(effectId === 'delay' && paramId === 'time' && this.getParam('delay', 'sync'));
+    },
+
+    // Pushes an effect's settings to a chain's nodes. initial sets the values at once instead of gliding to them.
+    apply(effectId, chain, initial = false) {
+        if (!chain) return; // Not initialised yet
+        const effect = this.get(effectId);
+        const { context, nodes, output } = chain;
+        const setValue = (audioParam, value) => {
+            if (initial) {
+                audioParam.value = value;
+            } else {
+                audioParam.setTargetAtTime(value, context.currentTime, this.smoothing);
+            }
+        };
+        const value = paramId => this.getParam(effectId, paramId);
+
+        if (effectId === 'delay') {
+            setValue(nodes.delay.delayTime, this.getDelayTime());
+            setValue(nodes.delayFeedback.gain, value('feedback'));
+            setValue(nodes.delayWet.gain, effect.bypassed ? 0 : value('mix'));
+        } else if (effectId === 'reverb') {
+            if (value('decay') !== chain.impulseDecay) {
+                nodes.convolver.buffer = this.createImpulse(context, value('decay'));
+                chain.impulseDecay = value('decay');
+            }
+            setValue(nodes.reverbWet.gain, effect.bypassed ? 0 : value('mix'));
+        } else if (effectId === 'compressor') {
+            const compressor = nodes.compressor;
+            setValue(compressor.threshold, value('threshold'));
+            setValue(compressor.ratio, value('ratio'));
+            setValue(compressor.attack, value('attack') / 1000);
+            setValue(compressor.release, value('release') / 1000);
+            // A compressor always colours the sound a little, so bypassing takes it out of the chain
+            if (effect.bypassed !== chain.compressorBypassed) {
+                if (!initial) nodes.reverbOut.disconnect();
+                nodes.reverbOut.connect(effect.bypassed ? output : compressor);
+                chain.compressorBypassed = effect.bypassed;
+            }
+        } else if (effectId === 'volume') {
+            setValue(output.gain, effect.bypassed ? 1 : value('volume'));
+        }
+    },
+
+    // Call after the sequencer tempo changes, so a synced delay follows it
+    updateTempo() {
+        this.apply('delay', this.chain);
+    },
+
+    // Seconds the effects keep sounding after the input falls silent: the reverb's decay,
+    // or the delay's echoes until they are 60 dB down (at most maxTailTime)
+    getTailTime() {
+        let tail = 0;
+        if (!this.get('reverb').bypassed) {
+            tail = this.getParam('reverb', 'decay');
+        }
+        if (!this.get('delay').bypassed) {
+            const feedback = this.getParam('delay', 'feedback');
+            const echoes = feedback > 0 ? Math.log(0.001) / Math.log(feedback) : 1;
+            tail = Math.max(tail, Math.min(this.maxTailTime, this.getDelayTime() * (echoes + 1)));
+        }
+        return tail;
+    },
+
+    // Stereo impulse response of a diffuse room: independent noise per channel under an exponential envelope
+    // that falls by 60 dB over `decay` seconds, with a short fade-in to soften the onset
+    createImpulse(context, decay) {
+        const sampleRate = context.sampleRate;
+        const length = Math.ceil(decay * sampleRate);
+        const fadeInLength = Math.ceil(0.005 * sampleRate);
+        const impulse = context.createBuffer(2, length, sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                const envelope = Math.pow(10, -3 * i / length) * Math.min(1, i / fadeInLength);
+                data[i] = (Math.random() * 2 - 1) * envelope;
+            }
+        }
+        return impulse;
+    },
+
+    // { effectId: { bypassed, params: { paramId: value } } } for saved settings
+    getSettings() {
+        return Object.fromEntries(this.effects.map(effect => [effect.id, {
+            bypassed: effect.bypassed,
+            params: Object.fromEntries(effect.params.map(param => [param.id, param.value]))
+        }]));
+    },
+
+    // Inverse of getSettings; unknown effects and parameters are ignored
+    restoreSettings(settings) {
+        Object.entries(settings || {}).forEach(([effectId, effectSettings]) => {
+            if (!this.get(effectId) || !effectSettings) return;
+            Object.entries(effectSettings.params || {}).forEach(([paramId, value]) => this.setParam(effectId, paramId, value));
+            if (effectSettings.bypassed !== undefined) this.setBypassed(effectId, effectSettings.bypassed);
+        });
+    }
+};
@@ -0,0 +1,255 @@
+// Game controller input (Gamepad API). Browsers report gamepad buttons and sticks only as state, not as events,
+// so a polling loop reads every connected controller once per animation frame and reports the changes.
+// Each controller model (Gamepad.id) has its own profile, saved in localStorage:
+//   buttons: button index -> { row, col } relative to the 1x cell, like the PC key map (keymap.js),
+//            and shifted together with it (KeyMap.shift)
+//   shiftUp / shiftDown: buttons that shift every key like ↑↓ on the PC keyboard (null = none)
+//   bendAxis: stick axis that bends held voices by up to ±bendRange semitones (null = none)
+//   triggerLoudness: whether the analog triggers swell the loudness of held voices
+// Button and axis numbers follow the browser's "standard" gamepad mapping where the controller supports it.
+const GamepadInput = {
+    storageKey: 'harmkey-gamepad-profiles',
+    deadZone: 0.15, // Stick travel ignored around the centre, so a resting stick does not bend the pitch
+    minLoudness: 0.4, // Loudness with the triggers released; pulling a trigger fully reaches 1
+    maxBendRange: 24,
+    triggerButtons: [6, 7], // LT and RT in the standard mapping
+    buttonNames: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'Left stick', 'Right stick', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'],
+    axisNames: ['Left stick ←→', 'Left stick ↑↓', 'Right stick ←→', 'Right stick ↑↓'],
+
+    // Face buttons and shoulder buttons play the six cells from the 1x cell rightwards; the D-pad shifts
+    defaultProfile: {
+        buttons: { 0: { row: 0, col: 0 }, 1: { row: 0, col: 1 }, 2: { row: 0, col: 2 }, 3: { row: 0, col: 3 }, 4: { row: 0, col: 4 }, 5: { row: 0, col: 5 } },
+        shiftUp: 12,
+        shiftDown: 13,
+        bendAxis: 0,
+        bendRange: 2,
+        triggerLoudness: true
+    },
+    profiles: {}, // Gamepad.id -> profile, only for controllers whose profile was changed
+    states: new Map(), // Gamepad.index -> { id, pressed: [boolean per button], bend, loudness } as last reported
+    frameRequest: null,
+
+    // Callbacks set by main.js
+    onButtonDown: null, // (gamepadIndex, buttonIndex)
+    onButtonUp: null, // (gamepadIndex, buttonIndex)
+    onExpression: null, // (gamepadIndex, bend in cents, loudness 0..1) when the stick or the triggers move
+    onDevicesChanged: null, // ()
+
+    // Returns false if the browser has no Gamepad API
+    init() {
+        if (typeof navigator.getGamepads !== 'function') {
+            console.warn('GamepadInput: The Gamepad API is not available in this browser.');
+            return false;
+        }
+        this.load();
+        window.addEventListener('gamepadconnected', () => this.handleDevicesChanged());
+        window.addEventListener('gamepaddisconnected', () => this.handleDevicesChanged());
+        this.handleDevicesChanged(); // Controllers connected before the page loaded
+        return true;
+    },
+
+    getGamepads() {
+        return Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected);
+    },
+
+    // Polls only while a controller is connected
+    handleDevicesChanged() {
+        const gamepads = this.getGamepads();
+        this.states.forEach((state, index) => {
+            if (!gamepads.some(gamepad => gamepad.index === index)) this.releaseState(index);
+        });
+        if (gamepads.length > 0 && this.frameRequest === null) {
+            this.frameRequest = requestAnimationFrame(() => this.poll());
+        } else if (gamepads.length === 0 && this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        if (this.onDevicesChanged) this.onDevicesChanged();
+    },
+
+    // Reports every button still down as released, e.g. when its controller is unplugged
+    releaseState(index) {
+        const state = this.states.get(index);
+        this.states.delete(index);
+        state.pressed.forEach((isPressed, buttonIndex) => {
+            if (isPressed && this.onButtonUp) this.onButtonUp(index, buttonIndex);
+        });
+    },
+
+    poll() {
+        this.getGamepads().forEach(gamepad => this.update(gamepad));
+        this.frameRequest = requestAnimationFrame(() => this.poll());
+    },
+
+    update(gamepad) {
+        let state = this.states.get(gamepad.index);
+        if (state && state.id !== gamepad.id) { // Another controller took over the slot
+            this.releaseState(gamepad.index);
+            state = null;
+        }
+        if (!state) {
+            state = { id: gamepad.id, pressed: [], bend: 0, loudness: null };
+            this.states.set(gamepad.index, state);
+        }
+        const profile = this.getProfile(gamepad.id);
+
+        // Expression first, so notes started by this frame's buttons already get it
+        const bend = this.getBend(gamepad, profile);
+        const loudness = this.getLoudness(gamepad, profile);
+        if (bend !== state.bend || loudness !== state.loudness) {
+            state.bend = bend;
+            state.loudness = loudness;
+            if (this.onExpression) this.onExpression(gamepad.index, bend, loudness);
+        }
+
+        gamepad.buttons.forEach((button, buttonIndex) => {
+            const isPressed = button.pressed;
+            if (isPressed === Boolean(state.pressed[buttonIndex])) return;
+            state.pressed[buttonIndex] = isPressed;
+            const callback = isPressed ? this.onButtonDown : this.onButtonUp;
+            if (callback) callback(gamepad.index, buttonIndex);
+        });
+    },
+
+    // Stick position beyond the dead zone, in cents. Pushing up or right bends up.
+    getBend(gamepad, profile) {
+        if (profile.bendAxis === null || profile.bendAxis >= gamepad.axes.length) return 0;
+        const value = gamepad.axes[profile.bendAxis] * (profile.bendAxis % 2 === 1 ? -1 : 1); // Y axes grow downwards
+        const travel = Math.max(0, Math.abs(value) - this.deadZone) / (1 - this.deadZone);
+        return Math.round(Math.sign(value) * Math.min(1, travel) * profile.bendRange * 100 * 10) / 10; // 0.1 cent steps
+    },
+
+    // Loudness from the trigger pulled furthest, or 1 when the triggers do not set it
+    getLoudness(gamepad, profile) {
+        if (!profile.triggerLoudness) return 1;
+        const pull = Math.max(0, ...this.triggerButtons.map(index => (gamepad.buttons[index] ? gamepad.buttons[index].value : 0)));
+        return Math.round((this.minLoudness + (1 - this.minLoudness) * pull) * 100) / 100;
+    },
+
+    getState(gamepadIndex) {
+        return this.states.get(gamepadIndex) || null;
+    },
+
+    getButtonName(buttonIndex) {
+        return this.buttonNames[buttonIndex] || `Button ${buttonIndex}`;
+    },
+
+    getAxisName(axisIndex) {
+        return this.axisNames[axisIndex] || `Axis ${axisIndex}`;
+    },
+
+    // A copy of the default profile until the controller's profile is changed
+    getProfile(id) {
+        return this.profiles[id] || JSON.parse(JSON.stringify(this.defaultProfile));
+    },
+
+    // Cell index the button plays with the current shift, or null if it is unbound or shifted off the grid
+    getCell(id, buttonIndex) {
+        const binding = this.getProfile(id).buttons[buttonIndex];
+        if (!binding || binding.col >= Tuning.gridWidth) return null;
+        const cellIndex = Tuning.referenceCellIndex + binding.row * Tuning.gridWidth + binding.col + KeyMap.shift * KeyMap.shiftStepCells;
+        return Tuning.isValidIndex(cellIndex) ? cellIndex : null;
+    },
+
+    // Buttons that play the cell with the current shift
+    getButtonsForCell(id, cellIndex) {
+        return Object.keys(this.getProfile(id).buttons).map(Number).filter(buttonIndex => this.getCell(id, buttonIndex) === cellIndex);
+    },
+
+    // Binds the button to the cell it should play with the current shift and saves the profile.
+    // Throws an Error for the shift buttons and the loudness triggers.
+    bind(id, buttonIndex, cellIndex) {
+        const profile = this.getProfile(id);
+        if (buttonIndex === profile.shiftUp || buttonIndex === profile.shiftDown) {
+            throw new Error(`${this.getButtonName(buttonIndex)} shifts the keys and cannot play a cell.`);
+        }
+        if (profile.triggerLoudness && this.triggerButtons.includes(buttonIndex)) {
+            throw new Error(`${this.getButtonName(buttonIndex)} sets the loudness; switch that off to let it play a cell.`);
+        }
+        const offset = cellIndex - Tuning.referenceCellIndex - KeyMap.shift * KeyMap.shiftStepCells;
+        const row = Math.floor(offset / Tuning.gridWidth);
+        profile.buttons[buttonIndex] = { row, col: offset - row * Tuning.gridWidth };
+        this.saveProfile(id, profile);
+    },
+
+    // Removes every button that plays the cell and saves the profile; returns the removed button indices
+    unbindCell(id, cellIndex) {
+        const profile = this.getProfile(id);
+        const buttons = this.getButtonsForCell(id, cellIndex);
+        buttons.forEach(buttonIndex => delete profile.buttons[buttonIndex]);
+        if (buttons.length > 0) this.saveProfile(id, profile);
+        return buttons;
+    },
+
+    // Updates shiftUp, shiftDown, bendAxis (null = none), bendRange or triggerLoudness and saves the profile.
+    // Invalid values are ignored; a button that becomes a shift button stops playing its cell.
+    configure(id, settings) {
+        const profile = this.getProfile(id);
+        ['shiftUp', 'shiftDown', 'bendAxis'].forEach(key => {
+            if (settings[key] === null || (Number.isInteger(settings[key]) && settings[key] >= 0)) profile[key] = settings[key];
+        });
+        if (Number.isFinite(settings.bendRange)) profile.bendRange = Math.max(0, Math.min(this.maxBendRange, settings.bendRange));
+        if (settings.triggerLoudness !== undefined) profile.triggerLoudness = Boolean(settings.triggerLoudness);
+        [profile.shiftUp, profile.shiftDown].forEach(buttonIndex => delete profile.buttons[buttonIndex]);
+        this.saveProfile(id, profile);
+    },
+
+    resetProfile(id) {
+        delete this.profiles[id];
+        this.store();
+    },
+
+    saveProfile(id, profile) {
+        this.profiles[id] = profile;
+        this.store();
+    },
+
+    // Checks a saved profile; returns it cleaned up, or null if it cannot be used
+    parseProfile(profile) {
+        if (!profile || typeof profile !== 'object' || !profile.buttons || typeof profile.buttons !== 'object') return null;
+        const isIndexOrNull = value => value === null || (Number.isInteger(value) && value >= 0);
+        if (!isIndexOrNull(profile.shiftUp) || !isIndexOrNull(profile.shiftDown) || !isIndexOrNull(profile.bendAxis)) return null;
+        if (!Number.isFinite(profile.bendRange) || profile.bendRange < 0 || profile.bendRange > this.maxBendRange) return null;
+        const buttons = {};
+        Object.entries(profile.buttons).forEach(([buttonIndex, binding]) => {
+            if (/^\d+$/.test(buttonIndex) && binding && Number.isInteger(binding.row) && Number.isInteger(binding.col) && binding.col >= 0) {
+                buttons[buttonIndex] = { row: binding.row, col: binding.col };
+            }
+        });
+        return {
+            buttons,
+            shiftUp: profile.shiftUp,
+            shiftDown: profile.shiftDown,
+            bendAxis: profile.bendAxis,
+            bendRange: profile.bendRange,
+            triggerLoudness: Boolean(profile.triggerLoudness)
+        };
+    },
+
+    // Storage can be unavailable (private mode, file:// in some browsers); profiles then last for the session only
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.profiles = {};
+            Object.entries(saved && typeof saved === 'object' ? saved : {}).forEach(([id, profile]) => {
+                const parsed = this.parseProfile(profile);
+                if (parsed) {
+                    this.profiles[id] = parsed;
+                } else {
+                    console.warn('GamepadInput: Skipping a malformed saved profile for', id);
+                }
+            });
+        } catch (e) {
+            console.warn('GamepadInput: Could not load saved controller profiles:', e);
+            this.profiles = {};
+        }
+    },
+
+    store() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profiles));
+        } catch (e) {
+            console.warn('GamepadInput: Could not save controller profiles:', e);
+        }
+    }
+};
@@ -0,0 +1,317 @@
+// Embeddable Harmonic Keyboard: puts a playable harmonic grid on any canvas and lets a page script it.
+//
+//   import { createHarmonicKeyboard } from './harmkey.mjs';
+//   const keyboard = createHarmonicKeyboard(document.querySelector('canvas'), { gridWidth: 4, gridHeight: 4 });
+//   keyboard.addEventListener('noteon', event => console.log(event.detail.ratio));
+//   keyboard.noteOn({ numerator: 3, denominator: 2 });
+//
+// The keyboard is built from the app's own models (tuning.js, keymap.js, voice-manager.js, sound-sources.js, ...).
+// This module loads those scripts from its own folder once per page, unless the page has loaded them already.
+// Every keyboard has its own tuning, key map and voices (Tuning.create, KeyMap.create, VoiceManager.create), so several
+// keyboards on one page play independently. They share one AudioContext unless options.audioContext is given,
+// and they share the sound sources' parameters and the piano samples.
+//
+// Events are CustomEvents whose detail is:
+//   noteon, noteoff: { cell, ratio, frequency, velocity, source }; cell is null for a ratio without a cell,
+//                    ratio is null for scale cells tuned in cents, source is 'pointer', 'key' or 'api'
+//   shiftchange:     { shift }
+
+const modelScripts = [
+    { file: 'sine.js', isLoaded: () => typeof SineVoice !== 'undefined' },
+    { file: 'additive.js', isLoaded: () => typeof AdditiveVoice !== 'undefined' },
+    { file: 'piano.js', isLoaded: () => typeof Piano !== 'undefined' },
+    { file: 'sound-sources.js', isLoaded: () => typeof SoundSources !== 'undefined' },
+    { file: 'voice-manager.js', isLoaded: () => typeof VoiceManager !== 'undefined' },
+    { file: 'tuning.js', isLoaded: () => typeof Tuning !== 'undefined' },
+    { file: 'scala.js', isLoaded: () => typeof Scala !== 'undefined' },
+    { file: 'keymap.js', isLoaded: () => typeof KeyMap !== 'undefined' },
+    { file: 'themes.js', isLoaded: () => typeof Themes !== 'undefined' }
+];
+
+// Classic scripts share the page's global scope, so the models become visible to this module by their names
+function loadScript(file) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = new URL(file, import.meta.url).href;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`harmkey: Could not load ${script.src}`));
+        document.head.appendChild(script);
+    });
+}
+
+for (const { file, isLoaded } of modelScripts) {
+    if (!isLoaded()) await loadScript(file); // In order: later scripts use the earlier ones
+}
+
+let sharedAudioContext = null; // Created by the first keyboard without options.audioContext
+
+function getSharedAudioContext() {
+    if (!sharedAudioContext) {
+        sharedAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return sharedAudioContext;
+}
+
+// Creates a keyboard on the canvas. Options (all optional):
+//   baseFrequency, gridWidth, gridHeight, referenceCellIndex, layout ('linear' or 'lattice'), octaveReduction:
+//       as in the Tuning panel; the 1x cell defaults to the app's (cell 21) or to cell 0 on smaller grids
+//   soundSource: a sound source id such as 'sine' (default), 'piano' or 'fm'
+//   theme: 'standard' (default) or 'high-contrast', the app's colour themes (themes.js)
+//   keyboard: false to ignore the PC keyboard; otherwise the focused canvas plays the default key map and ↑↓ shift
+//   audioContext, destination: where the keyboard plays (default: a shared AudioContext's speakers)
+//   maxVoices: polyphony limit of this keyboard
+// Throws an Error if a setting is invalid.
+export function createHarmonicKeyboard(canvas, options = {}) {
+    if (!canvas || typeof canvas.getContext !== 'function') {
+        throw new TypeError('createHarmonicKeyboard: the first argument must be a canvas element.');
+    }
+    const tuning = Tuning.create();
+    const cellCount = (options.gridWidth || tuning.gridWidth) * (options.gridHeight || tuning.gridHeight);
+    const error = tuning.configure(Object.assign({
+        referenceCellIndex: tuning.referenceCellIndex < cellCount ? tuning.referenceCellIndex : 0
+    }, options));
+    if (error) throw new Error(error);
+    const theme = Themes[options.theme || 'standard'];
+    if (!theme) throw new Error(`Unknown theme "${options.theme}".`);
+
+    const audioContext = options.audioContext || getSharedAudioContext();
+    const output = audioContext.createGain();
+    output.connect(options.destination || audioContext.destination);
+    const voices = VoiceManager.create(audioContext, output);
+    if (options.maxVoices !== undefined) voices.setMaxVoices(options.maxVoices);
+    const keyMap = KeyMap.create(tuning);
+    const events = new EventTarget();
+    const ctx = canvas.getContext('2d');
+    let soundSource = 'sine';
+    let isDestroyed = false;
+
+    // Sounding notes by owner ('pointer:1', 'key:KeyZ', 'api:cell:5', 'api:ratio:3/2')
+    // -> { cell, ratio, frequency, velocity, source, voiceId }
+    const notes = new Map();
+
+    function emit(type, note) {
+        const { cell, ratio, frequency, velocity, source } = note;
+        events.dispatchEvent(new CustomEvent(type, { detail: { cell, ratio, frequency, velocity, source } }));
+    }
+
+    // A cell index or a ratio { numerator, denominator } -> { cell, ratio, frequency }. Throws for anything else.
+    function resolveTarget(target) {
+        if (Number.isInteger(target)) {
+            if (!tuning.isValidIndex(target)) {
+                throw new RangeError(`There is no cell ${target} on this ${tuning.gridWidth}x${tuning.gridHeight} grid.`);
+            }
+            return { cell: target, ratio: tuning.getRatio(target), frequency: tuning.getFrequency(target) };
+        }
+        if (target && Number.isInteger(target.numerator) && Number.isInteger(target.denominator) && target.numerator > 0 && target.denominator > 0) {
+            const ratio = Tuning.reduceRatio(target.numerator, target.denominator);
+            return { cell: tuning.findCell(ratio), ratio, frequency: tuning.baseFrequency * ratio.numerator / ratio.denominator };
+        }
+        throw new TypeError('Play a cell index or a ratio { numerator, denominator }.');
+    }
+
+    // Ratios are owned in lowest terms, so a noteOff of 3/2 stops a noteOn of 6/4
+    function getApiOwner(target) {
+        if (Number.isInteger(target)) return `api:cell:${target}`;
+        const { ratio } = resolveTarget(target);
+        return `api:ratio:${ratio.numerator}/${ratio.denominator}`;
+    }
+
+    // Returns false if the note cannot sound (an unmapped scale cell, or above Nyquist)
+    function start(owner, target, velocity, source) {
+        stop(owner);
+        if (isDestroyed || target.frequency <= 0 || target.frequency > audioContext.sampleRate / 2) return false;
+        if (audioContext.state === 'suspended') audioContext.resume(); // Browsers start audio on a user gesture only
+        const voiceId = voices.noteOn(owner, target.frequency, soundSource, velocity);
+        const note = Object.assign({}, target, { velocity, source, voiceId });
+        notes.set(owner, note);
+        emit('noteon', note);
+        draw();
+        return true;
+    }
+
+    function stop(owner) {
+        const note = notes.get(owner);
+        if (!note) return;
+        notes.delete(owner);
+        voices.noteOff(note.voiceId);
+        emit('noteoff', note);
+        draw();
+    }
+
+    voices.onVoiceStolen = (entry) => {
+        const note = notes.get(entry.owner);
+        if (!note || note.voiceId !== entry.id) return;
+        notes.delete(entry.owner);
+        emit('noteoff', note);
+        draw();
+    };
+
+    function draw() {
+        if (isDestroyed) return;
+        const cellWidth = canvas.width / tuning.gridWidth;
+        const cellHeight = canvas.height / tuning.gridHeight;
+        const cellSize = Math.min(cellWidth, cellHeight);
+        const activeCells = new Set(Array.from(notes.values(), note => note.cell));
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let row = 0; row < tuning.gridHeight; row++) {
+            for (let col = 0; col < tuning.gridWidth; col++) {
+                const linearIndex = tuning.getLinearIndex(col, row);
+                const isActive = activeCells.has(linearIndex);
+                const x = col * cellWidth;
+                const y = row * cellHeight;
+                ctx.fillStyle = isActive ? theme.active : theme.cell;
+                ctx.fillRect(x, y, cellWidth - 1, cellHeight - 1);
+                ctx.fillStyle = isActive ? theme.activeText : theme.text;
+                ctx.font = `${Math.max(8, Math.floor(cellSize * 0.25))}px sans-serif`;
+                ctx.fillText(tuning.getLabel(linearIndex), x + cellWidth / 2, y + cellHeight * 0.35, cellWidth * 0.9);
+                const keyLabel = options.keyboard !== false ? keyMap.getCodesForCell(linearIndex).map(code => keyMap.getKeyLabel(code)).join(' ') : '';
+                if (keyLabel) {
+                    ctx.font = `bold ${Math.max(8, Math.floor(cellSize * 0.3))}px sans-serif`;
+                    ctx.fillText(keyLabel, x + cellWidth / 2, y + cellHeight * 0.75, cellWidth * 0.9);
+                }
+            }
+        }
+    }
+
+    // --- Pointer input: every pointer (mouse, pen or finger) plays its own note and can slide between cells ---
+
+    function getCellAt(event) {
+        const rect = canvas.getBoundingClientRect();
+        const col = Math.floor((event.clientX - rect.left) / rect.width * tuning.gridWidth);
+        const row = Math.floor((event.clientY - rect.top) / rect.height * tuning.gridHeight);
+        if (col < 0 || col >= tuning.gridWidth || row < 0 || row >= tuning.gridHeight) return null;
+        return tuning.getLinearIndex(col, row);
+    }
+
+    function playPointer(event) {
+        const owner = `pointer:${event.pointerId}`;
+        const cell = getCellAt(event);
+        const note = notes.get(owner);
+        if (cell === null) {
+            stop(owner);
+        } else if (!note || note.cell !== cell) {
+            start(owner, resolveTarget(cell), 1, 'pointer');
+        }
+    }
+
+    const pointerActive = new Set(); // Pointer IDs pressed on this canvas
+
+    function handlePointerDown(event) {
+        event.preventDefault();
+        canvas.focus(); // So the PC keys play this keyboard
+        if (canvas.setPointerCapture) canvas.setPointerCapture(event.pointerId);
+        pointerActive.add(event.pointerId);
+        playPointer(event);
+    }
+
+    function handlePointerMove(event) {
+        if (pointerActive.has(event.pointerId)) playPointer(event);
+    }
+
+    function handlePointerUp(event) {
+        pointerActive.delete(event.pointerId);
+        stop(`pointer:${event.pointerId}`);
+    }
+
+    // --- PC keyboard input: only the focused keyboard listens, so several keyboards do not play at once ---
+
+    function handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.code === 'ArrowUp' || event.code === 'ArrowDown') {
+            event.preventDefault();
+            keyboard.setShift(keyMap.shift + (event.code === 'ArrowUp' ? 1 : -1));
+            return;
+        }
+        const cell = keyMap.getCell(event.code);
+        if (cell === null) return;
+        event.preventDefault();
+        if (!notes.has(`key:${event.code}`)) start(`key:${event.code}`, resolveTarget(cell), 1, 'key');
+    }
+
+    function handleKeyUp(event) {
+        stop(`key:${event.code}`);
+    }
+
+    function releaseKeys() {
+        Array.from(notes.keys()).filter(owner => owner.startsWith('key:')).forEach(stop);
+    }
+
+    const listeners = [
+        ['pointerdown', handlePointerDown],
+        ['pointermove', handlePointerMove],
+        ['pointerup', handlePointerUp],
+        ['pointercancel', handlePointerUp]
+    ];
+    if (options.keyboard !== false) {
+        if (canvas.tabIndex < 0) canvas.tabIndex = 0; // Focusable, so it can receive keys
+        listeners.push(['keydown', handleKeyDown], ['keyup', handleKeyUp], ['blur', releaseKeys]);
+    }
+    listeners.forEach(([type, listener]) => canvas.addEventListener(type, listener));
+
+    const keyboard = {
+        tuning, // The keyboard's own Tuning; call redraw() after changing it
+        keyMap, // The keyboard's own KeyMap
+
+        get shift() {
+            return keyMap.shift;
+        },
+
+        get soundSource() {
+            return soundSource;
+        },
+
+        // Starts a cell (linear index, 0 = bottom left) or a ratio to the 1x cell, e.g. { numerator: 5, denominator: 4 }.
+        // Playing the same cell or ratio again restarts it. Returns false if it cannot sound.
+        noteOn(target, velocity = 1) {
+            return start(getApiOwner(target), resolveTarget(target), Math.max(0, Math.min(1, velocity)), 'api');
+        },
+
+        // Stops a note started by noteOn with the same cell or ratio
+        noteOff(target) {
+            resolveTarget(target); // Same errors as noteOn
+            stop(getApiOwner(target));
+        },
+
+        // Shifts the PC keys by whole shift steps (one grid row), within ±keyMap.shiftRange. Returns the shift applied.
+        setShift(shift) {
+            if (!Number.isInteger(shift)) throw new TypeError('The shift must be a whole number.');
+            if (keyMap.shiftBy(shift - keyMap.shift)) {
+                events.dispatchEvent(new CustomEvent('shiftchange', { detail: { shift: keyMap.shift } }));
+                draw();
+            }
+            return keyMap.shift;
+        },
+
+        // Releases the sounding notes and plays the following ones with another sound source
+        setSoundSource(id) {
+            const source = SoundSources.get(id);
+            if (!source) throw new Error(`Unknown sound source "${id}".`);
+            Array.from(notes.keys()).forEach(stop);
+            soundSource = id;
+            if (id === 'piano' && Piano.status === 'idle') { // Samples are loaded the first time the piano is chosen
+                if (!Piano.audioContext) Piano.init(audioContext);
+                Piano.loadSamples();
+            }
+        },
+
+        redraw: draw,
+
+        // Stops every note, removes the listeners and disconnects the keyboard's output. The keyboard cannot be used afterwards.
+        destroy() {
+            if (isDestroyed) return;
+            Array.from(notes.keys()).forEach(stop);
+            listeners.forEach(([type, listener]) => canvas.removeEventListener(type, listener));
+            output.disconnect();
+            isDestroyed = true;
+        },
+
+        addEventListener: events.addEventListener.bind(events),
+        removeEventListener: events.removeEventListener.bind(events)
+    };
+
+    if (options.soundSource !== undefined) keyboard.setSoundSource(options.soundSource);
+    draw();
+    return keyboard;
+}
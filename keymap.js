@@ -0,0 +1,261 @@
+// PC keyboard mapping. Keys are identified by KeyboardEvent.code (the physical key position), so the same
+// keys play the same cells on QWERTY, AZERTY or Dvorak and Shift does not change them.
+// Each key is bound to a cell position relative to the 1x cell: { row, col } plays the cell
+// referenceCellIndex + row * gridWidth + col. Shifting (↑↓) moves every key by shiftStep cells,
+// at most shiftRange steps either way.
+// Maps can be saved by name in localStorage and exported/imported as JSON.
+const KeyMap = {
+    storageKey: 'harmkey-keymaps',
+    formatVersion: 1,
+    maxShiftStep: 256,
+    maxShiftRange: 16,
+    reservedCodes: ['Space', 'Escape', 'ArrowUp', 'ArrowDown', 'Backspace', 'Delete', 'Tab', 'Enter'], // Keep their own jobs
+    codeSymbols: {
+        Comma: ',', Period: '.', Slash: '/', Semicolon: ';', Quote: "'", Backquote: '`', Minus: '-', Equal: '=',
+        BracketLeft: '[', BracketRight: ']', Backslash: '\\', IntlBackslash: '<', IntlRo: 'ろ', IntlYen: '¥'
+    },
+
+    // Built-in maps; rows are listed bottom row first and start one row below the 1x cell
+    presets: [
+        {
+            name: 'Three rows (default)',
+            rows: [
+                ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyM', 'Comma', 'Period'],
+                ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyJ', 'KeyK', 'KeyL'],
+                ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyU', 'KeyI', 'KeyO']
+            ]
+        },
+        {
+            name: 'Four rows of ten (grids 10 wide)',
+            rows: [
+                ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash'],
+                ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon'],
+                ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP'],
+                ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0']
+            ]
+        }
+    ].map(preset => ({
+        name: preset.name,
+        shiftStep: null,
+        shiftRange: 3,
+        bindings: Object.fromEntries(preset.rows.flatMap((codes, rowIndex) => codes.map((code, col) => [code, { row: rowIndex - 1, col }])))
+    })),
+    userMaps: [], // { name, shiftStep, shiftRange, bindings } saved by the user
+
+    // Active map
+    tuning: null, // Tuning whose cells the keys play; null = the app's Tuning
+    name: '',
+    bindings: {}, // code -> { row, col }
+    shiftStep: null, // Cells per shift; null = one grid row
+    shiftRange: 3,
+    shift: 0,
+    layoutLabels: null, // code -> character on the user's keyboard layout, when the browser can tell
+
+    get shiftStepCells() {
+        return this.shiftStep === null ? this.getTuning().gridWidth : this.shiftStep;
+    },
+
+    getTuning() {
+        return this.tuning || Tuning;
+    },
+
+    // A separate key map that plays the cells of `tuning` (e.g. Tuning.create()), starting from this map's keys
+    // with no shift; the app itself uses KeyMap directly
+    create(tuning) {
+        return Object.assign(Object.create(this), {
+            tuning,
+            name: this.name,
+            bindings: JSON.parse(JSON.stringify(this.bindings)),
+            shiftStep: this.shiftStep,
+            shiftRange: this.shiftRange,
+            shift: 0
+        });
+    },
+
+    // Makes a copy of the given map the active one
+    apply(map) {
+        this.name = map.name;
+        this.bindings = JSON.parse(JSON.stringify(map.bindings));
+        this.shiftStep = map.shiftStep;
+        this.shiftRange = map.shiftRange;
+        this.shift = Math.max(-this.shiftRange, Math.min(this.shiftRange, this.shift));
+    },
+
+    // Updates the shift step (cells, null = one grid row) or range. Out-of-range values are clamped.
+    configure(settings) {
+        if (settings.shiftStep === null) this.shiftStep = null;
+        if (Number.isInteger(settings.shiftStep)) this.shiftStep = Math.max(1, Math.min(this.maxShiftStep, settings.shiftStep));
+        if (Number.isInteger(settings.shiftRange)) this.shiftRange = Math.max(0, Math.min(this.maxShiftRange, settings.shiftRange));
+        this.shift = Math.max(-this.shiftRange, Math.min(this.shiftRange, this.shift));
+    },
+
+    // Moves every key by `steps` shift steps, within ±shiftRange. Returns true if the shift changed.
+    shiftBy(steps) {
+        const shift = Math.max(-this.shiftRange, Math.min(this.shiftRange, this.shift + steps));
+        const changed = shift !== this.shift;
+        this.shift = shift;
+        return changed;
+    },
+
+    // Cell index the key plays with the current shift, or null if it is unbound or shifted off the grid
+    // (keys are not clamped to the edge cells, so no two keys end up on the same cell by shifting)
+    getCell(code) {
+        const tuning = this.getTuning();
+        const binding = this.bindings[code];
+        if (!binding || binding.col >= tuning.gridWidth) return null;
+        const cellIndex = tuning.referenceCellIndex + binding.row * tuning.gridWidth + binding.col + this.shift * this.shiftStepCells;
+        return tuning.isValidIndex(cellIndex) ? cellIndex : null;
+    },
+
+    // Keys that play the cell with the current shift
+    getCodesForCell(cellIndex) {
+        return Object.keys(this.bindings).filter(code => this.getCell(code) === cellIndex);
+    },
+
+    // Binds the key to the cell it should play with the current shift. Throws an Error for reserved keys.
+    bind(code, cellIndex) {
+        if (this.reservedCodes.includes(code)) {
+            throw new Error(`${code} is reserved and cannot play a cell.`);
+        }
+        const tuning = this.getTuning();
+        const offset = cellIndex - tuning.referenceCellIndex - this.shift * this.shiftStepCells;
+        const row = Math.floor(offset / tuning.gridWidth);
+        this.bindings[code] = { row, col: offset - row * tuning.gridWidth };
+    },
+
+    // Removes every key that plays the cell; returns the removed codes
+    unbindCell(cellIndex) {
+        const codes = this.getCodesForCell(cellIndex);
+        codes.forEach(code => delete this.bindings[code]);
+        return codes;
+    },
+
+    // Character shown on the canvas for a key, e.g. 'KeyZ' -> 'z' (or 'w' on AZERTY when the layout is known)
+    getKeyLabel(code) {
+        if (this.layoutLabels && this.layoutLabels.has(code)) return this.layoutLabels.get(code);
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3).toLowerCase();
+        if (/^(Digit|Numpad)\d$/.test(code)) return code.slice(-1);
+        return this.codeSymbols[code] || code;
+    },
+
+    // Asks the browser which character each key produces on the current layout (Keyboard API, Chromium only).
+    // Resolves once the labels are known; without the API the labels stay derived from the codes.
+    loadLayoutLabels() {
+        if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return Promise.resolve();
+        return navigator.keyboard.getLayoutMap().then(layoutMap => {
+            this.layoutLabels = layoutMap;
+        }).catch(e => {
+            console.warn('KeyMap: Could not read the keyboard layout:', e);
+        });
+    },
+
+    getAll() {
+        return this.presets.concat(this.userMaps);
+    },
+
+    find(name) {
+        return this.getAll().find(map => map.name === name) || null;
+    },
+
+    // --- JSON Presets ---
+
+    toJSON() {
+        return JSON.stringify({
+            format: 'harmkey-keymap',
+            version: this.formatVersion,
+            name: this.name,
+            shiftStep: this.shiftStep,
+            shiftRange: this.shiftRange,
+            bindings: this.bindings
+        }, null, 2);
+    },
+
+    // Parses an exported map into { name, shiftStep, shiftRange, bindings }. Throws an Error with a readable message.
+    parse(text) {
+        let map;
+        try {
+            map = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Not a valid JSON file: ${e.message}`);
+        }
+        if (!map || map.format !== 'harmkey-keymap' || !map.bindings || typeof map.bindings !== 'object') {
+            throw new Error('This file is not a Harmonic Keyboard key map.');
+        }
+        if (map.version > this.formatVersion) {
+            throw new Error(`This key map was saved by a newer version (key map version ${map.version}).`);
+        }
+        if (map.shiftStep !== null && (!Number.isInteger(map.shiftStep) || map.shiftStep < 1 || map.shiftStep > this.maxShiftStep)) {
+            throw new Error(`Shift step must be null (one grid row) or a whole number from 1 to ${this.maxShiftStep}.`);
+        }
+        if (!Number.isInteger(map.shiftRange) || map.shiftRange < 0 || map.shiftRange > this.maxShiftRange) {
+            throw new Error(`Shift range must be a whole number from 0 to ${this.maxShiftRange}.`);
+        }
+        const bindings = {};
+        Object.entries(map.bindings).forEach(([code, binding]) => {
+            if (!/^[A-Za-z0-9]+$/.test(code) || this.reservedCodes.includes(code)) {
+                throw new Error(`"${code}" is not a key that can play a cell.`);
+            }
+            if (!binding || !Number.isInteger(binding.row) || !Number.isInteger(binding.col) || binding.col < 0) {
+                throw new Error(`Key ${code} has an invalid cell position.`);
+            }
+            bindings[code] = { row: binding.row, col: binding.col };
+        });
+        return { name: typeof map.name === 'string' ? map.name.trim() : '', shiftStep: map.shiftStep, shiftRange: map.shiftRange, bindings };
+    },
+
+    // Saves the active map under a name, adding or replacing a user map. Throws an Error if the name is invalid.
+    saveUserMap(name) {
+        const trimmedName = String(name).trim();
+        if (!trimmedName) {
+            throw new Error('Give the key map a name.');
+        }
+        if (this.presets.some(preset => preset.name === trimmedName)) {
+            throw new Error(`"${trimmedName}" is a built-in map; choose another name.`);
+        }
+        this.name = trimmedName;
+        this.userMaps = this.userMaps.filter(map => map.name !== trimmedName);
+        this.userMaps.push({ name: trimmedName, shiftStep: this.shiftStep, shiftRange: this.shiftRange, bindings: JSON.parse(JSON.stringify(this.bindings)) });
+        this.store();
+        return trimmedName;
+    },
+
+    deleteUserMap(name) {
+        this.userMaps = this.userMaps.filter(map => map.name !== name);
+        this.store();
+    },
+
+    // Storage can be unavailable (private mode, file:// in some browsers); maps then last for the session only
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.userMaps = [];
+            (Array.isArray(saved) ? saved : []).forEach(map => {
+                try {
+                    const parsed = this.parse(JSON.stringify(Object.assign({ format: 'harmkey-keymap' }, map)));
+                    if (parsed.name) this.userMaps.push(parsed);
+                } catch (e) {
+                    console.warn('KeyMap: Skipping a malformed saved key map:', e.message);
+                }
+            });
+        } catch (e) {
+            console.warn('KeyMap: Could not load saved key maps:', e);
+            this.userMaps = [];
+        }
+    },
+
+    store() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.userMaps));
+        } catch (e) {
+            console.warn('KeyMap: Could not save key maps:', e);
+        }
+    }
+};
+
+KeyMap.apply(KeyMap.presets[0]);
+
+// Node: require('./keymap.js') brings the tuning model along (see the end of tuning.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyMap;
+    require('./tuning.js');
+}
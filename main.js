@@ -4,201 +4,511 @@ document.addEventListener('DOMContentLoaded', () => {
     const canvas = document.getElementById('harmonic-canvas'); // Get canvas element
     const ctx = canvas.getContext('2d');
 
-    // Initialize Piano
+    // Initialize Piano (its samples are loaded through the sound source registry below)
+    const pianoStatus = document.getElementById('piano-status');
     if (typeof Piano !== 'undefined' && Piano.init) {
+        Piano.onStatusChange = (status, message) => {
+            pianoStatus.textContent = message;
+            pianoStatus.className = `piano-status-${status}`;
+        };
         Piano.init(audioContext);
     } else {
         console.error("Piano object not found. Ensure piano.js is loaded before main.js");
     }
 
-    const baseFrequency = 440; // A4
-    // const numButtons = 100; // For a 10x10 grid - No longer directly used for button count
-    // const harmonics = Array.from({ length: numButtons }, (_, i) => i + 1); // Harmonics 1 to 100 - Not needed for canvas like this
-    const activeOscillators = {}; // For polyphony and stopping notes
+    // Fundamental, grid size and the cell -> ratio -> frequency mapping live in the Tuning model (tuning.js)
+
+    // Master bus: every live voice plays into masterBus, which runs through the master effects (effects.js)
+    // to the speakers and the analyzer
+    const masterBus = audioContext.createGain();
+    MasterEffects.init(audioContext, masterBus);
+    MasterEffects.output.connect(audioContext.destination);
+    const analyserNode = audioContext.createAnalyser();
+    analyserNode.fftSize = 16384; // Fine enough to separate low harmonics; also covers 300 ms of waveform
+    MasterEffects.output.connect(analyserNode);
+    VoiceManager.init(audioContext, masterBus);
 
     // --- Sound Generation ---
-    function playTone(frequency, type = 'sine') {
-        if (!audioContext) return;
-
-        // If a sound for this frequency is already active, stop it first to allow re-triggering.
-        if (activeOscillators[frequency]) {
-            // Infer type from stored data if possible, default to 'sine' if only oscillator exists
-            const existingSound = activeOscillators[frequency];
-            const existingType = existingSound.type || (existingSound.oscillator ? 'sine' : 'piano');
-            stopTone(frequency, existingType); 
-            // stopTone will delete activeOscillators[frequency], allowing new sound creation.
-        }
-
-        let oscillatorNode; // Renamed to avoid conflict with oscillator in scope
-        if (type === 'sine') {
-            oscillatorNode = audioContext.createOscillator();
-            oscillatorNode.type = 'sine';
-            oscillatorNode.frequency.setValueAtTime(frequency, audioContext.currentTime);
-
-            const gainNode = audioContext.createGain();
-            gainNode.gain.setValueAtTime(0.25, audioContext.currentTime); // Initial volume (approx -6dB from 0.5, Hold this volume)
-            // gainNode.gain.exponentialRampToValueAtTime(0.00001, audioContext.currentTime + 1); // Removed: Fade out over 1 sec
-
-            oscillatorNode.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            oscillatorNode.start();
-            // Store with type for easier management in stopTone
-            activeOscillators[frequency] = { oscillator: oscillatorNode, gainNode, type: 'sine' };
-
-            oscillatorNode.onended = () => {
-                // Check if this specific oscillator is still the one in activeOscillators
-                // to prevent issues if it was already stopped and replaced by a new one.
-                if (activeOscillators[frequency] && activeOscillators[frequency].oscillator === oscillatorNode) {
-                    stopTone(frequency, 'sine');
-                }
-            };
-        } else if (type === 'piano') {
-            if (Piano && Piano.play) {
-                const pianoSound = Piano.play(frequency);
-                if (pianoSound) {
-                    activeOscillators[frequency] = { pianoSound, type: 'piano' };
-                }
-            } else {
-                console.warn('Piano playback function not available. Falling back to sine wave.');
-                playTone(frequency, 'sine'); // Fallback
-            }
-            return; 
-        }
-    }
-
-    function stopTone(frequency, type) { // Added type parameter
-        const soundData = activeOscillators[frequency];
-        if (!soundData) return;
-
-        if (type === 'sine' || (soundData.oscillator && !type && soundData.type === 'sine')) {
-            const { oscillator, gainNode } = soundData;
-            if (oscillator) {
-                // Detach onended to prevent it from calling stopTone again after we've handled it.
-                oscillator.onended = null; 
-                try {
-                    const now = audioContext.currentTime;
-                    // Cancel any scheduled gain changes
-                    gainNode.gain.cancelScheduledValues(now);
-                    // Set current gain value to start ramp from current level
-                    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-                    // Exponential ramp to (almost) zero over 0.5 seconds
-                    gainNode.gain.exponentialRampToValueAtTime(0.00001, now + 0.5);
-                    
-                    // Stop the oscillator after the ramp is complete
-                    oscillator.stop(now + 0.51); // Stop slightly after ramp finishes
-                    
-                    // Do not disconnect immediately, let the ramp play out.
-                    // The oscillator's onended event (if still attached and source not replaced) 
-                    // or garbage collection will handle cleanup.
-                    // Or, more explicitly, we can manage disconnection in a timeout or onended,
-                    // but for now, removing immediate disconnects.
-                } catch (e) {
-                    // console.warn(`Error during sine wave stop ramp for frequency ${frequency}:`, e);
-                    // Fallback to immediate stop if ramping fails
-                    try { oscillator.stop(); } catch (e2) {}
-                    if (gainNode) try { gainNode.disconnect(); } catch (e2) {} // Attempt cleanup
-                    try { oscillator.disconnect(); } catch (e2) {}
-                }
-            } else if (oscillator) { // If only oscillator exists (no gainNode)
-                try { oscillator.stop(); } catch (e) {}
-            }
-        } else if (type === 'piano' || (soundData.pianoSound && !type && soundData.type === 'piano')) {
-            if (Piano && Piano.stop) {
-                Piano.stop(frequency); // Piano object handles its own stopping logic
-            }
-        } else {
-            console.warn(`stopTone called for frequency ${frequency} with unhandled type: ${type}. Sound data:`, soundData);
+    // Notes are played by the sound source registered under `type` in SoundSources (sound-sources.js).
+    // Every voice is owned by the VoiceManager (voice-manager.js) and identified by its voice ID, not by its frequency,
+    // so two inputs can sound the same harmonic and a released input always stops the voice it started.
+    // velocity (0..1) scales the voice's volume; MIDI input passes note velocity through here
+    // volume (0..1) is the voice's own level, e.g. a latched drone's volume slider.
+    // when (AudioContext time, default now) lets the sequencer schedule notes ahead.
+    function playTone(voiceKey, frequency, type = 'sine', velocity = 1, volume = 1, when = undefined) {
+        if (!audioContext) return null;
+        return VoiceManager.noteOn(voiceKey, frequency, type, velocity, volume, when);
+    }
+
+    function stopTone(voiceId, when = undefined) {
+        VoiceManager.noteOff(voiceId, when);
+    }
+
+    // Releases every sounding voice, e.g. when the sound source changes
+    function releaseAllTones() {
+        VoiceManager.allNotesOff();
+    }
+
+    // --- Note Routing ---
+    // Every input (canvas, touch, PC key, game controller, MIDI) starts and ends its notes through these two functions,
+    // so the audio, the MIDI output and the recorder all see the same events.
+    // voiceKey names the note's owner, e.g. 'pointer:1', 'key:KeyZ' or 'midi:60'.
+    // startNote returns the voice ID; the input keeps it and passes it back to endNote.
+    // While the sustain pedal is down, endNote defers the release until the pedal is lifted.
+    let isSustainDown = false;
+    const sustainedNotes = new Map(); // voiceKey -> voice ID whose release waits for the pedal
+
+    // ratio is passed for chord members that have no cell (cellIndex null)
+    function startNote(voiceKey, cellIndex, frequency, source, velocity = 1, ratio = Tuning.getRatio(cellIndex), volume = 1) {
+        releaseSustainedNote(voiceKey); // Striking a sustained key again restarts it
+        const voiceId = playTone(voiceKey, frequency, soundSourceSelect.value, velocity, volume);
+        Midi.sendNoteOn(voiceKey, frequency, velocity);
+        Recorder.recordNoteOn({ voice: voiceKey, cell: cellIndex, ratio, frequency, velocity, source });
+        return voiceId;
+    }
+
+    function endNote(voiceKey, voiceId) {
+        if (isSustainDown) {
+            sustainedNotes.set(voiceKey, voiceId);
+            return;
         }
-        
-        delete activeOscillators[frequency]; // Clean up the reference
+        stopTone(voiceId);
+        Midi.sendNoteOff(voiceKey);
+        Recorder.recordNoteOff(voiceKey);
+    }
+
+    function releaseSustainedNote(voiceKey) {
+        if (!sustainedNotes.has(voiceKey)) return;
+        const voiceId = sustainedNotes.get(voiceKey);
+        sustainedNotes.delete(voiceKey);
+        stopTone(voiceId);
+        Midi.sendNoteOff(voiceKey);
+        Recorder.recordNoteOff(voiceKey);
+    }
+
+    // Everything a pressed cell plays: the cell itself, or every member of the selected chord in chord mode,
+    // as [{ voiceKey, cellIndex, frequency, ratio }]. Chord members outside the grid have a null cellIndex;
+    // members above Nyquist are left out. Scale cells without a ratio (tuned in cents) play alone,
+    // and unmapped scale cells play nothing.
+    function getCellNoteTargets(voiceKey, cellIndex) {
+        const rootRatio = Tuning.getRatio(cellIndex);
+        const ratios = chordModeCheckbox.checked && rootRatio ? getChordRatios(rootRatio) : [rootRatio];
+        const targets = [];
+        ratios.forEach((ratio, memberIndex) => {
+            const frequency = memberIndex === 0 ? Tuning.getFrequency(cellIndex) : Tuning.baseFrequency * (ratio.numerator / ratio.denominator);
+            if (frequency <= 0 || frequency > audioContext.sampleRate / 2) return;
+            targets.push({
+                voiceKey: memberIndex === 0 ? voiceKey : `${voiceKey}/${memberIndex}`,
+                cellIndex: memberIndex === 0 ? cellIndex : Tuning.findCell(ratio),
+                frequency,
+                ratio
+            });
+        });
+        return targets;
     }
 
+    // Starts the notes of getCellNoteTargets and returns them as [{ voiceKey, cellIndex, frequency, ratio, voiceId }]
+    // to pass to endCellNotes. While the arpeggiator runs, held notes only feed it and do not sound themselves (voiceId null).
+    function startCellNotes(voiceKey, cellIndex, source, velocity = 1, volume = 1) {
+        const isArpeggiating = Sequencer.isPlaying && Sequencer.mode === 'arpeggiator';
+        return getCellNoteTargets(voiceKey, cellIndex).map(target => Object.assign(target, {
+            voiceId: isArpeggiating ? null : startNote(target.voiceKey, target.cellIndex, target.frequency, source, velocity, target.ratio, volume)
+        }));
+    }
+
+    function endCellNotes(notes) {
+        notes.forEach(note => endNote(note.voiceKey, note.voiceId));
+    }
+
+    // A voice stolen to stay within the polyphony limit ends everywhere else too.
+    // Its input may still be held; releasing it later is then a no-op.
+    VoiceManager.onVoiceStolen = (entry) => {
+        Midi.sendNoteOff(entry.owner);
+        Recorder.recordNoteOff(entry.owner);
+        if (sustainedNotes.get(entry.owner) === entry.id) {
+            sustainedNotes.delete(entry.owner);
+        }
+        for (const [cellIndex, drone] of latchedCells) {
+            const remainingNotes = drone.notes.filter(note => note.voiceId !== entry.id);
+            if (remainingNotes.length === drone.notes.length) continue;
+            drone.notes = remainingNotes;
+            if (remainingNotes.length === 0) latchedCells.delete(cellIndex);
+            renderLatchedDrones();
+            drawGrid();
+        }
+    };
+
     // --- Canvas Setup and Drawing ---
-    const gridSize = 7; // 7x7 grid
-    const totalCanvasCells = gridSize * gridSize; // 49
-    let cellSize; // Will be calculated based on canvas size
-    let currentlyPlayingCell = { x: -1, y: -1, frequency: null, displayValue: null }; // For mouse drag, added displayValue
-    let isMouseDown = false;
+    let cellWidth; // Will be calculated based on canvas size, Tuning.gridWidth and the zoom
+    let cellHeight; // Will be calculated based on canvas size, Tuning.gridHeight and the zoom
+    // Size of the canvas on the page in CSS pixels; its backing store has devicePixelRatio times as many (see resizeCanvas)
+    let canvasDisplayWidth = canvas.width;
+    let canvasDisplayHeight = canvas.height;
+    const minLabelCellSize = 18; // CSS pixels; smaller cells (large grids zoomed out) are drawn without text
+    // Every input below keeps the notes it started (see startCellNotes); a cell is lit while any of them plays it,
+    // which also lights every member of a chord.
+    function isCellInNotes(notes, linearIndex) {
+        return notes.some(note => note.cellIndex === linearIndex);
+    }
+
+    // Every active pointer (mouse, pen or finger) owns its own voices and highlighted cells.
+    // Keyed by PointerEvent.pointerId, or by Touch.identifier when Pointer Events are unavailable.
+    // Each entry is { x, y, frequency, displayValue, source, notes }; x/y are -1 while the pointer is off the grid.
+    // source is 'canvas' for mouse/pen and 'touch' for fingers.
+    const activePointers = new Map();
+
+    function isCellHeldByPointer(linearIndex) {
+        for (const pointer of activePointers.values()) {
+            if (isCellInNotes(pointer.notes, linearIndex)) return true;
+        }
+        return false;
+    }
+
+    // PC keys held down: KeyboardEvent.code -> { cellIndex, frequency, notes } actually played,
+    // so keyup stops those voices even after a shift or a change of the key map
+    const pressedKeys = new Map();
+
+    let keyMapEditCell = null; // Cell selected in the key-mapping editor, waiting for the key that should play it
+
+    function isCellHeldByPcKey(linearIndex) {
+        for (const pressedKey of pressedKeys.values()) {
+            if (isCellInNotes(pressedKey.notes, linearIndex)) return true;
+        }
+        return false;
+    }
+
+    // Game controller buttons held down: 'gamepadIndex:buttonIndex' -> { gamepadIndex, cellIndex, frequency, notes } actually played
+    const pressedGamepadButtons = new Map();
+
+    let gamepadEditCell = null; // Cell selected in the controller-mapping editor, waiting for the button that should play it
+
+    let gridFocusCell = null; // Cell focused in the accessible grid (see buildGridMirror), outlined on the canvas
+
+    function isCellHeldByGamepad(linearIndex) {
+        for (const pressedButton of pressedGamepadButtons.values()) {
+            if (isCellInNotes(pressedButton.notes, linearIndex)) return true;
+        }
+        return false;
+    }
+
+    // Notes held on a MIDI controller: incoming note number -> { cellIndex, frequency, notes } actually played
+    const activeMidiNotes = new Map();
+
+    function isCellHeldByMidi(linearIndex) {
+        for (const midiNote of activeMidiNotes.values()) {
+            if (isCellInNotes(midiNote.notes, linearIndex)) return true;
+        }
+        return false;
+    }
+
+    // Cells toggled on in latch mode: pressed cell index -> { velocity, volume, notes }
+    const latchedCells = new Map();
+
+    function isCellLatched(linearIndex) {
+        for (const drone of latchedCells.values()) {
+            if (isCellInNotes(drone.notes, linearIndex)) return true;
+        }
+        return false;
+    }
+
+    // Notes the sequencer is playing right now: voiceKey -> cell index (null outside the grid)
+    const sequencerCells = new Map();
+
+    function isCellHeldBySequencer(linearIndex) {
+        for (const cellIndex of sequencerCells.values()) {
+            if (cellIndex === linearIndex) return true;
+        }
+        return false;
+    }
+
+    // Voice of a take being played back -> cell index it lights up
+    const playbackCells = new Map();
+
+    function isCellHeldByPlayback(linearIndex) {
+        for (const cellIndex of playbackCells.values()) {
+            if (cellIndex === linearIndex) return true;
+        }
+        return false;
+    }
+
+    // Ear-training outline of a cell (quiz.js): 'target' for targets found so far (every target once the question is over),
+    // 'wrong' for a wrong answer, otherwise null
+    function getQuizMark(linearIndex) {
+        const question = Quiz.question;
+        const ratio = question && Tuning.getRatio(linearIndex);
+        if (!ratio) return null;
+        const key = Quiz.getKey(ratio);
+        if (question.wrongAnswer && Quiz.getKey(question.wrongAnswer) === key) return 'wrong';
+        const marked = question.finished ? question.targets : question.found;
+        return marked.some(target => Quiz.getKey(target) === key) ? 'target' : null;
+    }
+
+    // --- Cell Info Overlays & Held-Notes Readout ---
+    // Labels come from NoteInfo (note-info.js), which the tooltip and exported takes use as well
+    const overlayNoteCheckbox = document.getElementById('overlay-note');
+    const overlayCentsCheckbox = document.getElementById('overlay-cents');
+    const overlayOctaveCheckbox = document.getElementById('overlay-octave');
+    const heldNotesReadout = document.getElementById('held-notes-readout');
+    let heldNotesReadoutKey = null; // Frequencies shown in the readout, to rebuild it only when they change
+
+    // Second line of a cell, e.g. "E6 +2.0¢ 5/4", made of the overlays that are switched on
+    function getCellOverlayText(linearIndex) {
+        const frequency = Tuning.getFrequency(linearIndex);
+        if (frequency <= 0) return ''; // Unmapped scale cell
+        const { noteName, cents, octaveRatio } = NoteInfo.describe(frequency, Tuning.getRatio(linearIndex));
+        const parts = [];
+        if (overlayNoteCheckbox.checked) parts.push(noteName);
+        if (overlayCentsCheckbox.checked) parts.push(NoteInfo.formatCents(cents));
+        if (overlayOctaveCheckbox.checked && octaveRatio) parts.push(octaveRatio);
+        return parts.join(' ');
+    }
+
+    // e.g. "5x: C#7 −13.7¢, 2200.00 Hz (octave-reduced 5/4)"; notes without a ratio leave out the last part
+    function describeNote(label, frequency, ratio) {
+        const { noteName, cents, octaveRatio } = NoteInfo.describe(frequency, ratio);
+        const description = `${label}: ${noteName} ${NoteInfo.formatCents(cents)}, ${frequency.toFixed(2)} Hz`;
+        return octaveRatio ? `${description} (octave-reduced ${octaveRatio})` : description;
+    }
+
+    // Held notes are labelled by their ratio, or by their cell when they have none (scale cells tuned in cents)
+    function getNoteLabel(note) {
+        return note.ratio ? Tuning.getRatioLabel(note.ratio) : Tuning.getLabel(note.cellIndex);
+    }
+
+    // Lists every held note and the interval between each pair, lowest note first
+    function updateHeldNotesReadout() {
+        const heldNotes = getHeldNotes().sort((a, b) => a.frequency - b.frequency);
+        const readoutKey = heldNotes.map(note => note.frequency).join(',');
+        if (readoutKey === heldNotesReadoutKey) return;
+        heldNotesReadoutKey = readoutKey;
+
+        heldNotesReadout.innerHTML = '';
+        if (heldNotes.length === 0) {
+            heldNotesReadout.textContent = 'Held notes: none';
+            return;
+        }
+        const noteList = document.createElement('ul');
+        heldNotes.forEach(note => {
+            const item = document.createElement('li');
+            item.textContent = describeNote(getNoteLabel(note), note.frequency, note.ratio);
+            noteList.appendChild(item);
+        });
+        heldNotesReadout.appendChild(noteList);
+
+        if (heldNotes.length > 1) {
+            const intervalList = document.createElement('ul');
+            intervalList.className = 'intervals';
+            heldNotes.forEach((lower, i) => {
+                heldNotes.slice(i + 1).forEach(upper => {
+                    const item = document.createElement('li');
+                    const names = `${getNoteLabel(lower)} → ${getNoteLabel(upper)}`;
+                    if (lower.ratio && upper.ratio) {
+                        const interval = NoteInfo.getInterval(lower.ratio, upper.ratio);
+                        item.textContent = `${names}: ${NoteInfo.formatRatio(interval.ratio)}, ${interval.cents.toFixed(1)}¢`;
+                    } else {
+                        item.textContent = `${names}: ${(1200 * Math.log2(upper.frequency / lower.frequency)).toFixed(1)}¢`;
+                    }
+                    intervalList.appendChild(item);
+                });
+            });
+            heldNotesReadout.appendChild(intervalList);
+        }
+    }
+
+    [overlayNoteCheckbox, overlayCentsCheckbox, overlayOctaveCheckbox].forEach(checkbox => {
+        checkbox.addEventListener('change', () => drawGrid());
+    });
+
+    // --- Cell Colours ---
+    // The theme (themes.js) sets the colours of the canvas. Cells that are not playing have the theme's plain colour,
+    // or are coloured by the prime limit or the octave of their ratio.
+    const cellColorsSelect = document.getElementById('cell-colors');
+    const cellColorLegend = document.getElementById('cell-color-legend');
+    const themeSelect = document.getElementById('theme');
+    const primeLimitColors = { 3: '#3949ab', 5: '#8e24aa', 7: '#c2185b', 11: '#e65100', 13: '#6d4c41' }; // 2-limit cells stay plain
+    const highPrimeColor = '#546e7a'; // 17-limit and above
+
+    // Follows the system's contrast setting until a theme is chosen or restored
+    if (window.matchMedia && window.matchMedia('(prefers-contrast: more), (forced-colors: active)').matches) {
+        themeSelect.value = 'high-contrast';
+    }
+
+    function getTheme() {
+        return Themes[themeSelect.value];
+    }
+
+    // Octave 0 (1x up to 2x) is green like the plain colour; every octave up or down turns the hue by 45°
+    function getOctaveColor(octave) {
+        return `hsl(${(((122 + octave * 45) % 360) + 360) % 360}, 40%, 45%)`;
+    }
+
+    // Octaves count from the 1x cell: 0 for 1x up to 2x, -1 for 1/2 up to 1x. Scale cells use their tuning in cents.
+    function getCellOctave(linearIndex) {
+        return Math.floor(Math.log2(Tuning.getHarmonic(linearIndex)) + 1e-9);
+    }
+
+    function getPrimeLimitColor(limit) {
+        return limit === 2 ? getTheme().cell : primeLimitColors[limit] || highPrimeColor;
+    }
+
+    // Scale cells tuned in cents have no prime limit and unmapped scale cells no octave; they stay plain
+    function getCellColor(linearIndex) {
+        if (cellColorsSelect.value === 'prime') {
+            const ratio = Tuning.getRatio(linearIndex);
+            if (ratio) return getPrimeLimitColor(NoteInfo.getPrimeLimit(ratio));
+        } else if (cellColorsSelect.value === 'octave' && Tuning.getHarmonic(linearIndex) > 0) {
+            return getOctaveColor(getCellOctave(linearIndex));
+        }
+        return getTheme().cell;
+    }
+
+    function addLegendEntry(text, color) {
+        const entry = document.createElement('span');
+        entry.textContent = text;
+        entry.style.backgroundColor = color;
+        cellColorLegend.appendChild(entry);
+    }
+
+    // Lists the colours in use: every prime limit, or the octaves the grid spans
+    function updateCellColorLegend() {
+        cellColorLegend.innerHTML = '';
+        if (cellColorsSelect.value === 'prime') {
+            [2, ...Object.keys(primeLimitColors).map(Number)].forEach(limit => addLegendEntry(`${limit}-limit`, getPrimeLimitColor(limit)));
+            addLegendEntry('17+', highPrimeColor);
+        } else if (cellColorsSelect.value === 'octave') {
+            const octaves = new Set();
+            for (let linearIndex = 0; linearIndex < Tuning.cellCount; linearIndex++) {
+                if (Tuning.getHarmonic(linearIndex) > 0) octaves.add(getCellOctave(linearIndex));
+            }
+            Array.from(octaves).sort((a, b) => a - b).forEach(octave => {
+                addLegendEntry(octave >= 0 ? `${Math.pow(2, octave)}x` : `1/${Math.pow(2, -octave)}`, getOctaveColor(octave));
+            });
+        }
+    }
+
+    [cellColorsSelect, themeSelect].forEach(select => select.addEventListener('change', () => {
+        updateCellColorLegend();
+        drawGrid();
+    }));
 
     function drawGrid() {
+        const pixelRatio = canvas.width / canvasDisplayWidth; // Backing-store pixels per CSS pixel
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.clearRect(0, 0, canvas.width, canvas.height);
-        cellSize = canvas.width / gridSize; // Assuming square canvas
-
-        for (let row = 0; row < gridSize; row++) { // y-coordinate on canvas
-            for (let col = 0; col < gridSize; col++) { // x-coordinate on canvas
-                // Harmonic calculation: bottom-left (1) to top-right (100)
-                // Canvas y=0 is top. Grid row 0 is top.
-                // Grid row (0 to 9) maps to canvas y.
-                // Grid col (0 to 9) maps to canvas x.
-                // Linear cell index (0 to 48), from bottom-left to top-right
-                const linearIndex = (gridSize - 1 - row) * gridSize + col; // 0 for bottom-left, 48 for top-right
-                
-                const referenceCellLinearIndex = 21; // Changed: Cell that was "1/8" (index 21) is now "1x"
-                
-                let frequencyValue;
-                let displayValue; // Text to display on the cell
-
-                if (linearIndex === referenceCellLinearIndex) {
-                    frequencyValue = baseFrequency; // 1x
-                    displayValue = "1x";
-                } else if (linearIndex > referenceCellLinearIndex) {
-                    // Positive harmonics: 2x, 3x, ...
-                    const harmonicMultiple = linearIndex - referenceCellLinearIndex + 1;
-                    frequencyValue = baseFrequency * harmonicMultiple;
-                    displayValue = `${harmonicMultiple}x`;
-                } else { // linearIndex < referenceCellLinearIndex
-                    // Subharmonics: 1/2, 1/3, ...
-                    // The cell "just before" reference (index 27) is 1/2. Cell 0 is 1/(28+1) = 1/29? No, 1/(referenceCellLinearIndex - linearIndex + 1)
-                    // linearIndex 27 -> divisor = 28 - 27 + 1 = 2. So 1/2.
-                    // linearIndex 0 -> divisor = 28 - 0 + 1 = 29. So 1/29.
-                    const subharmonicDivisor = (referenceCellLinearIndex - linearIndex) + 1;
-                    frequencyValue = baseFrequency / subharmonicDivisor;
-                    displayValue = `1/${subharmonicDivisor}`;
-                }
+        // Cells are laid out in CSS pixels on the zoomed grid; the transform scales them to the backing store
+        // and moves the part of the grid in view (Viewport, viewport.js) onto the canvas
+        cellWidth = canvasDisplayWidth * Viewport.zoom / Tuning.gridWidth;
+        cellHeight = canvasDisplayHeight * Viewport.zoom / Tuning.gridHeight;
+        const origin = Viewport.getOrigin();
+        const offsetX = origin.x * Tuning.gridWidth * cellWidth;
+        const offsetY = origin.y * Tuning.gridHeight * cellHeight;
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, -offsetX * pixelRatio, -offsetY * pixelRatio);
+        const showLabels = Math.min(cellWidth, cellHeight) >= minLabelCellSize;
+        const theme = getTheme();
+
+        // Only the cells in view are drawn
+        const firstCol = Math.max(0, Math.floor(offsetX / cellWidth));
+        const lastCol = Math.min(Tuning.gridWidth - 1, Math.floor((offsetX + canvasDisplayWidth) / cellWidth));
+        const firstRow = Math.max(0, Math.floor(offsetY / cellHeight));
+        const lastRow = Math.min(Tuning.gridHeight - 1, Math.floor((offsetY + canvasDisplayHeight) / cellHeight));
+
+        for (let row = firstRow; row <= lastRow; row++) { // y-coordinate on canvas
+            for (let col = firstCol; col <= lastCol; col++) { // x-coordinate on canvas
+                // Linear cell index, from bottom-left (0) to top-right (Tuning.cellCount - 1)
+                const linearIndex = Tuning.getLinearIndex(col, row);
+                const displayValue = Tuning.getLabel(linearIndex); // Text to display on the cell, e.g. "5x" or "1/3"
                 
-                const isMouseActive = (currentlyPlayingCell.x === col && currentlyPlayingCell.y === row);
-                const isPcKeyActive = activePcKeyLinearIndices.has(linearIndex);
-
-                if (isMouseActive || isPcKeyActive) {
-                    ctx.fillStyle = '#3e8e41'; // Active color for both mouse/touch and PC key
+                const isPointerActive = isCellHeldByPointer(linearIndex);
+                const isPcKeyActive = isCellHeldByPcKey(linearIndex);
+                const isGamepadActive = isCellHeldByGamepad(linearIndex);
+                const isMidiActive = isCellHeldByMidi(linearIndex);
+                const isPlaybackActive = isCellHeldByPlayback(linearIndex) || isCellHeldBySequencer(linearIndex);
+
+                const isActive = isPointerActive || isPcKeyActive || isGamepadActive || isMidiActive || isPlaybackActive;
+                const isLatched = !isActive && isCellLatched(linearIndex);
+                if (isActive) {
+                    ctx.fillStyle = theme.active; // Mouse/touch, PC key, game controller, MIDI, take playback and the sequencer
+                } else if (isLatched) {
+                    ctx.fillStyle = theme.latched; // Latched drone
                 } else {
-                    ctx.fillStyle = '#4CAF50'; // Default color
+                    ctx.fillStyle = getCellColor(linearIndex);
                 }
-                ctx.fillRect(col * cellSize, row * cellSize, cellSize -1 , cellSize -1);
+                ctx.fillRect(col * cellWidth, row * cellHeight, cellWidth - 1, cellHeight - 1);
                 
-                // Display the harmonic/subharmonic value (top part of cell)
-                const harmonicFontSize = Math.max(8, Math.floor(cellSize * 0.25));
-                ctx.fillStyle = 'white';
-                ctx.font = `${harmonicFontSize}px sans-serif`;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(displayValue, col * cellSize + cellSize / 2, row * cellSize + cellSize * 0.35); // Positioned higher
-
-                // Display the physical PC key character if this cell matches its CURRENT sound (after shift)
-                let pcCharToDisplayOnCell = ''; // Declare only once
-                const currentCellHarmonic = getHarmonicForCell(linearIndex); // Get harmonic for the current cell being drawn
-
-                for (const pk of pcKeys) { // Iterate over defined pcKeys
-                    const keyInfo = getHarmonicInfoForPcKey(pk, pcKeyShiftOffset); // Use the correct function name
-                    if (keyInfo && keyInfo.harmonic !== null) { // Check if keyInfo and its harmonic property are valid
-                        const harmonicOfPcKey = keyInfo.harmonic; // Get the harmonic value
-                        const tolerance = 0.0001;
-                        // Check if the PC key's current harmonic value matches the harmonic value of the cell being drawn
-                        if (Math.abs(harmonicOfPcKey - currentCellHarmonic) < tolerance) {
-                            pcCharToDisplayOnCell = pk; // Assign to the single declared variable
-                            break; // Found the PC key that maps to this cell's sound
+                if (showLabels) { // Too small to read otherwise; zoom in to see them
+                    // Display the harmonic/subharmonic value (top part of cell)
+                    const cellSize = Math.min(cellWidth, cellHeight); // Font sizes follow the smaller cell side
+                    const harmonicFontSize = Math.max(8, Math.floor(cellSize * 0.25));
+                    ctx.fillStyle = isActive || isLatched ? theme.activeText : theme.text;
+                    ctx.font = `${harmonicFontSize}px sans-serif`;
+                    const labelWidth = ctx.measureText(displayValue).width;
+                    if (labelWidth > cellWidth * 0.9) { // Long lattice ratios (e.g. 3375/2048) are shrunk to fit the cell
+                        ctx.font = `${Math.max(6, Math.floor(harmonicFontSize * cellWidth * 0.9 / labelWidth))}px sans-serif`;
+                    }
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(displayValue, col * cellWidth + cellWidth / 2, row * cellHeight + cellHeight * 0.35); // Positioned higher
+
+                    // Optional overlays (note name, cents, octave-reduced ratio) between the label and the PC key
+                    const overlayText = getCellOverlayText(linearIndex);
+                    if (overlayText) {
+                        const overlayFontSize = Math.max(7, Math.floor(cellSize * 0.13));
+                        ctx.font = `${overlayFontSize}px sans-serif`;
+                        const overlayWidth = ctx.measureText(overlayText).width;
+                        if (overlayWidth > cellWidth * 0.95) {
+                            ctx.font = `${Math.max(5, Math.floor(overlayFontSize * cellWidth * 0.95 / overlayWidth))}px sans-serif`;
+                        }
+                        ctx.fillText(overlayText, col * cellWidth + cellWidth / 2, row * cellHeight + cellHeight * 0.55);
+                    }
+
+                    // Keys that play this cell with the current shift, as labelled by the active key map (keymap.js)
+                    const pcKeyLabel = KeyMap.getCodesForCell(linearIndex).map(code => KeyMap.getKeyLabel(code)).join(' ');
+                    if (pcKeyLabel) {
+                        const pcKeyFontSize = Math.max(8, Math.floor(cellSize * 0.3));
+                        ctx.font = `bold ${pcKeyFontSize}px sans-serif`; // Make it bold
+                        const pcKeyLabelWidth = ctx.measureText(pcKeyLabel).width;
+                        if (pcKeyLabelWidth > cellWidth * 0.9) { // Several keys on one cell
+                            ctx.font = `bold ${Math.max(6, Math.floor(pcKeyFontSize * cellWidth * 0.9 / pcKeyLabelWidth))}px sans-serif`;
                         }
+                        ctx.fillText(pcKeyLabel, col * cellWidth + cellWidth / 2, row * cellHeight + cellHeight * 0.75); // Positioned lower
                     }
                 }
 
-                if (pcCharToDisplayOnCell) {
-                    const pcKeyFontSize = Math.max(8, Math.floor(cellSize * 0.3));
-                    // ctx.fillStyle = '#dddddd'; // Slightly different color for PC key char if needed
-                    ctx.font = `bold ${pcKeyFontSize}px sans-serif`; // Make it bold
-                    ctx.fillText(pcCharToDisplayOnCell, col * cellSize + cellSize / 2, row * cellSize + cellSize * 0.75); // Positioned lower
+                if (linearIndex === keyMapEditCell || linearIndex === gamepadEditCell) { // Waiting for a key or a controller button
+                    ctx.strokeStyle = theme.editOutline;
+                    ctx.lineWidth = 3;
+                    ctx.strokeRect(col * cellWidth + 1.5, row * cellHeight + 1.5, cellWidth - 4, cellHeight - 4);
+                }
+
+                if (linearIndex === gridFocusCell) { // Keyboard focus in the accessible grid, dashed to tell it from the editors' outline
+                    ctx.strokeStyle = theme.focusOutline;
+                    ctx.lineWidth = 2;
+                    ctx.setLineDash([4, 3]);
+                    ctx.strokeRect(col * cellWidth + 2, row * cellHeight + 2, cellWidth - 5, cellHeight - 5);
+                    ctx.setLineDash([]);
+                }
+
+                const quizMark = getQuizMark(linearIndex);
+                if (quizMark) { // Ear-training answer: white for the question's cells, red for a wrong click (in the standard theme)
+                    ctx.strokeStyle = quizMark === 'wrong' ? theme.quizWrong : theme.quizTarget;
+                    ctx.lineWidth = 3;
+                    ctx.strokeRect(col * cellWidth + 4.5, row * cellHeight + 4.5, cellWidth - 10, cellHeight - 10);
                 }
             }
         }
+        updateHeldNotesReadout(); // Every change of held notes ends in a redraw
+    }
+
+    // Tooltip for the cell under the mouse, with the same labels as the overlays
+    function updateCanvasTooltip(clientX, clientY) {
+        const cell = getCellFromCoordinates(clientX, clientY);
+        if (!cell) return;
+        const linearIndex = Tuning.getLinearIndex(cell.col, cell.row);
+        if (Tuning.getFrequency(linearIndex) <= 0) {
+            canvas.title = `${Tuning.getLabel(linearIndex)}: not mapped by the .kbm`;
+            return;
+        }
+        canvas.title = describeNote(Tuning.getLabel(linearIndex), Tuning.getFrequency(linearIndex), Tuning.getRatio(linearIndex));
     }
     
     function getCellFromCoordinates(x, y) {
@@ -211,201 +521,524 @@ document.addEventListener('DOMContentLoaded', () => {
             return null; // Outside canvas
         }
 
-        // Calculate cell dimensions based on the actual display size
-        const cellWidth = rect.width / gridSize;
-        const cellHeight = rect.height / gridSize;
+        // Undo the zoom and pan (Viewport) to find the grid point under the pointer, then measure it in cells
+        const point = Viewport.toGrid(canvasX / rect.width, canvasY / rect.height);
+        const gridX = point.x * Tuning.gridWidth;
+        const gridY = point.y * Tuning.gridHeight;
+
+        const col = Math.min(Tuning.gridWidth - 1, Math.floor(gridX));
+        const row = Math.min(Tuning.gridHeight - 1, Math.floor(gridY));
+        // Position within the cell (0..1 from its left and top edges), used by glide mode
+        const fractionX = gridX - col;
+        const fractionY = gridY - row;
+        return { col, row, fractionX, fractionY };
+    }
 
-        const col = Math.floor(canvasX / cellWidth);
-        const row = Math.floor(canvasY / cellHeight); // Use cellHeight for row calculation
-        return { col, row };
+    // --- Glide Mode ---
+    // A dragged pointer keeps its voices and slides their pitch (VoiceManager.glide) instead of restarting
+    // the note at every cell boundary. Loudness follows pen pressure, or the height within the cell.
+    const glideModeCheckbox = document.getElementById('glide-mode');
+    const glideTimeInput = document.getElementById('glide-time');
+    const glidePitchSelect = document.getElementById('glide-pitch');
+    const glideMinVolume = 0.1; // Bottom edge of a cell (or the lightest touch) is quiet but still audible
+    let glideTime = 0.08; // Seconds
+
+    // Continuous pitch: between the centres of two cells in a row the pitch moves evenly in cents.
+    // Returns the factor for the cell's own frequency (1 at its centre and at the edges of the grid).
+    function getContinuousPitchFactor(cell) {
+        const offset = cell.fractionX - 0.5; // Cells from the centre, -0.5 .. 0.5
+        const neighbourCol = offset < 0 ? cell.col - 1 : cell.col + 1;
+        if (neighbourCol < 0 || neighbourCol >= Tuning.gridWidth) return 1;
+        const frequency = Tuning.getFrequency(Tuning.getLinearIndex(cell.col, cell.row));
+        const neighbourFrequency = Tuning.getFrequency(Tuning.getLinearIndex(neighbourCol, cell.row));
+        if (frequency <= 0 || neighbourFrequency <= 0 || neighbourFrequency > audioContext.sampleRate / 2) return 1;
+        return Math.pow(neighbourFrequency / frequency, Math.abs(offset));
     }
 
-    function playNoteForCell(col, row) {
-        if (col === currentlyPlayingCell.x && row === currentlyPlayingCell.y) {
-            return; // Already playing this cell
-        }
+    // pressure is null for pointers that do not report it
+    function getGlideVolume(cell, pressure) {
+        const amount = pressure !== null ? pressure : 1 - cell.fractionY; // Top edge loudest
+        return glideMinVolume + (1 - glideMinVolume) * Math.max(0, Math.min(1, amount));
+    }
 
-        // Stop previously playing note if dragging to a new cell
-        if (currentlyPlayingCell.frequency !== null) {
-            stopTone(currentlyPlayingCell.frequency, soundSourceSelect.value);
+    function glidePointer(pointerId, cell, pressure) {
+        const pointer = activePointers.get(pointerId);
+        const linearIndex = Tuning.getLinearIndex(cell.col, cell.row);
+        const voiceKey = `pointer:${pointerId}`;
+        const targets = getCellNoteTargets(voiceKey, linearIndex);
+        const factor = glidePitchSelect.value === 'continuous' ? getContinuousPitchFactor(cell) : 1;
+        const volume = getGlideVolume(cell, pressure);
+
+        let notes = pointer.notes;
+        if (notes.length === 0 || targets.length !== notes.length) {
+            // Nothing sounds yet, or the cell plays a different number of notes (e.g. a chord member above Nyquist)
+            releasePointerNote(pointerId);
+            if (targets.length === 0) return; // Unmapped scale cell
+            notes = startCellNotes(voiceKey, linearIndex, pointer.source, 1, volume);
+            if (factor !== 1) {
+                notes.forEach(note => {
+                    note.frequency *= factor;
+                    VoiceManager.glide(note.voiceId, note.frequency, 0);
+                    Midi.sendPitchBend(note.voiceKey, note.frequency);
+                    Recorder.recordGlide(note.voiceKey, { cell: note.cellIndex, ratio: note.ratio, frequency: note.frequency, glideTime: 0 });
+                });
+            }
+        } else {
+            notes.forEach((note, i) => {
+                const frequency = targets[i].frequency * factor;
+                Object.assign(note, { cellIndex: targets[i].cellIndex, ratio: targets[i].ratio });
+                if (frequency !== note.frequency) {
+                    note.frequency = frequency;
+                    VoiceManager.glide(note.voiceId, frequency, glideTime);
+                    Midi.sendPitchBend(note.voiceKey, frequency);
+                    Recorder.recordGlide(note.voiceKey, { cell: note.cellIndex, ratio: note.ratio, frequency, glideTime });
+                }
+            });
         }
+        notes.forEach(note => {
+            VoiceManager.setVolume(note.voiceId, volume);
+            Midi.sendPressure(note.voiceKey, volume);
+        });
+        activePointers.set(pointerId, {
+            x: cell.col, y: cell.row, frequency: notes[0].frequency, displayValue: Tuning.getLabel(linearIndex), source: pointer.source, notes
+        });
+        drawGrid();
+    }
 
-        // Calculate frequency based on new scheme
-        const linearIndex = (gridSize - 1 - row) * gridSize + col;
-        const referenceCellLinearIndex = 21; // Changed: Cell that was "1/8" (index 21) is now "1x"
-        let frequency;
-        let displayValue;
+    glideTimeInput.addEventListener('change', () => {
+        const milliseconds = parseInt(glideTimeInput.value, 10);
+        if (Number.isFinite(milliseconds)) glideTime = Math.max(0, Math.min(2000, milliseconds)) / 1000;
+        glideTimeInput.value = Math.round(glideTime * 1000);
+    });
+    glideModeCheckbox.addEventListener('change', () => {
+        // Notes started in the other mode end at once, so no pointer keeps a half-configured voice
+        activePointers.forEach((pointer, pointerId) => releasePointerNote(pointerId));
+    });
 
-        if (linearIndex === referenceCellLinearIndex) {
-            frequency = baseFrequency;
-            displayValue = "1x";
-        } else if (linearIndex > referenceCellLinearIndex) {
-            const harmonicMultiple = linearIndex - referenceCellLinearIndex + 1;
-            frequency = baseFrequency * harmonicMultiple;
-            displayValue = `${harmonicMultiple}x`;
-        } else {
-            const subharmonicDivisor = (referenceCellLinearIndex - linearIndex) + 1;
-            frequency = baseFrequency / subharmonicDivisor;
-            displayValue = `1/${subharmonicDivisor}`;
+    function playNoteForCell(pointerId, col, row) {
+        const pointer = activePointers.get(pointerId);
+        if (!pointer) return;
+        if (col === pointer.x && row === pointer.y) {
+            return; // This pointer is already playing this cell
         }
+
+        // Stop this pointer's previous note if it slid to a new cell
+        releasePointerNote(pointerId);
+
+        const linearIndex = Tuning.getLinearIndex(col, row);
+        const frequency = Tuning.getFrequency(linearIndex);
+        const displayValue = Tuning.getLabel(linearIndex);
         
         if (frequency <= 0 || frequency > audioContext.sampleRate / 2) {
              console.warn("Frequency out of range:", frequency); return;
         }
 
-        playTone(frequency, soundSourceSelect.value);
+        const notes = startCellNotes(`pointer:${pointerId}`, linearIndex, pointer.source);
         
-        currentlyPlayingCell = { x: col, y: row, frequency, displayValue };
+        activePointers.set(pointerId, { x: col, y: row, frequency, displayValue, source: pointer.source, notes });
         drawGrid(); // Redraw to show active cell
     }
 
-    canvas.addEventListener('mousedown', (event) => {
-        isMouseDown = true;
-        const cell = getCellFromCoordinates(event.clientX, event.clientY);
-        if (cell) {
-            playNoteForCell(cell.col, cell.row);
-        }
-    });
+    // Stops the note owned by a pointer but keeps tracking it (used when it slides off a cell or the canvas)
+    function releasePointerNote(pointerId) {
+        const pointer = activePointers.get(pointerId);
+        if (!pointer || pointer.frequency === null) return;
+        endCellNotes(pointer.notes);
+        activePointers.set(pointerId, { x: -1, y: -1, frequency: null, displayValue: null, source: pointer.source, notes: [] });
+        drawGrid(); // Redraw to remove active cell highlight
+    }
 
-    canvas.addEventListener('mousemove', (event) => {
-        if (!isMouseDown) return;
-        const cell = getCellFromCoordinates(event.clientX, event.clientY);
-        if (cell) {
-            playNoteForCell(cell.col, cell.row);
-        } else { // Mouse dragged outside canvas
-            if (currentlyPlayingCell.frequency !== null) {
-                stopTone(currentlyPlayingCell.frequency, soundSourceSelect.value);
-                currentlyPlayingCell = { x: -1, y: -1, frequency: null };
-                drawGrid(); // Redraw to remove active cell highlight
-            }
+    // A cell pressed on the canvas or in the accessible grid goes to the mapping editors and the ear-training quiz first.
+    // Returns true if an editor took it, so it should not play.
+    function handleCellPress(linearIndex) {
+        if (keyMapEditCheckbox.checked) {
+            selectKeyMapEditCell(linearIndex); // The key-mapping editor selects the cell instead of playing it
+            return true;
         }
-    });
-
-    canvas.addEventListener('mouseup', () => {
-        isMouseDown = false;
-        if (currentlyPlayingCell.frequency !== null) {
-            stopTone(currentlyPlayingCell.frequency, soundSourceSelect.value);
-            currentlyPlayingCell = { x: -1, y: -1, frequency: null };
-            drawGrid(); // Redraw to remove active cell highlight
+        if (gamepadEditCheckbox.checked) { // Likewise for the controller-mapping editor
+            selectGamepadEditCell(linearIndex);
+            return true;
         }
-    });
-    
-    canvas.addEventListener('mouseleave', () => { // If mouse leaves canvas while pressed
-        if (isMouseDown) {
-            isMouseDown = false; // Treat as mouseup
-            if (currentlyPlayingCell.frequency !== null) {
-                stopTone(currentlyPlayingCell.frequency, soundSourceSelect.value);
-                currentlyPlayingCell = { x: -1, y: -1, frequency: null };
-                drawGrid();
-            }
+        if (Quiz.isAwaitingAnswer()) {
+            answerQuiz(linearIndex); // The cell still plays so the answer can be heard
         }
-    });
+        return false;
+    }
 
-    // Touch events for mobile (simplified version)
-    canvas.addEventListener('touchstart', (event) => {
-        event.preventDefault();
-        isMouseDown = true; // Reuse mouse down flag
-        const touch = event.touches[0];
-        const cell = getCellFromCoordinates(touch.clientX, touch.clientY);
-        if (cell) {
-            playNoteForCell(cell.col, cell.row);
+    // pressure (0..1) is given for pens, which report it reliably; it sets the loudness in glide mode
+    function pointerDown(pointerId, clientX, clientY, source, pressure = null) {
+        const cell = getCellFromCoordinates(clientX, clientY);
+        if (!cell) return;
+        const linearIndex = Tuning.getLinearIndex(cell.col, cell.row);
+        if (handleCellPress(linearIndex)) return;
+        if (latchModeCheckbox.checked) {
+            // In latch mode a click toggles the cell; the pointer itself holds nothing
+            toggleLatch(linearIndex, source);
+            return;
         }
-    });
+        activePointers.set(pointerId, { x: -1, y: -1, frequency: null, displayValue: null, source, notes: [] });
+        pointerMove(pointerId, clientX, clientY, pressure);
+    }
 
-    canvas.addEventListener('touchmove', (event) => {
-        event.preventDefault();
-        if (!isMouseDown) return;
-        const touch = event.touches[0];
-        const cell = getCellFromCoordinates(touch.clientX, touch.clientY);
-        if (cell) {
-            playNoteForCell(cell.col, cell.row);
-        } else {
-            if (currentlyPlayingCell.frequency !== null) {
-                stopTone(currentlyPlayingCell.frequency, soundSourceSelect.value);
-                currentlyPlayingCell = { x: -1, y: -1, frequency: null };
-                drawGrid();
-            }
+    function pointerMove(pointerId, clientX, clientY, pressure = null) {
+        if (!activePointers.has(pointerId)) return; // Not pressed
+        const cell = getCellFromCoordinates(clientX, clientY);
+        if (cell && glideModeCheckbox.checked) {
+            glidePointer(pointerId, cell, pressure);
+        } else if (cell) {
+            playNoteForCell(pointerId, cell.col, cell.row);
+        } else { // Pointer dragged outside canvas
+            releasePointerNote(pointerId);
         }
-    });
+    }
 
-    canvas.addEventListener('touchend', (event) => {
-        event.preventDefault();
-        isMouseDown = false;
-        if (currentlyPlayingCell.frequency !== null) {
-            stopTone(currentlyPlayingCell.frequency, soundSourceSelect.value);
-            currentlyPlayingCell = { x: -1, y: -1, frequency: null };
-            drawGrid();
-        }
-    });
+    function pointerUp(pointerId) {
+        if (!activePointers.has(pointerId)) return;
+        releasePointerNote(pointerId);
+        activePointers.delete(pointerId);
+    }
 
+    // Mice report a fixed 0.5 while pressed and most touch screens 0 or 1, so only pens count as pressure-sensitive
+    function getPenPressure(event) {
+        return event.pointerType === 'pen' ? event.pressure : null;
+    }
 
-    // Initial draw
-    // Ensure canvas dimensions are set before first draw if they depend on CSS
-    // For fixed size canvas, this is fine. If responsive, might need resize observer.
-    window.addEventListener('load', () => { // Ensure canvas is ready
-        cellSize = canvas.width / gridSize; // Calculate cell size after canvas is potentially sized by CSS
+    // --- Canvas Size ---
+    // The canvas is as wide as its frame and as high as the grid's aspect ratio needs, but at most maxCanvasHeight
+    // of the window (it then narrows to keep cells square). Its backing store has devicePixelRatio pixels per CSS pixel,
+    // so lines and labels stay sharp on HiDPI screens; drawGrid draws in CSS pixels.
+    const canvasFrame = document.getElementById('canvas-frame');
+    const maxCanvasHeight = 0.8;
+    let canvasAvailableWidth = canvas.width; // Frame width the canvas may fill, in CSS pixels
+
+    function resizeCanvas() {
+        if (canvasFrame.clientWidth > 0) { // Unchanged while the frame is hidden
+            canvasAvailableWidth = canvasFrame.clientWidth - (canvas.offsetWidth - canvas.clientWidth); // Less the border
+        }
+        let width = canvasAvailableWidth;
+        let height = width * Tuning.gridHeight / Tuning.gridWidth;
+        if (height > window.innerHeight * maxCanvasHeight) {
+            height = window.innerHeight * maxCanvasHeight;
+            width = height * Tuning.gridWidth / Tuning.gridHeight;
+        }
+        canvasDisplayWidth = Math.max(1, Math.floor(width));
+        canvasDisplayHeight = Math.max(1, Math.floor(height));
+        canvas.style.width = `${canvasDisplayWidth}px`;
+        canvas.style.height = `${canvasDisplayHeight}px`;
+
+        const pixelRatio = window.devicePixelRatio || 1;
+        const backingWidth = Math.round(canvasDisplayWidth * pixelRatio);
+        const backingHeight = Math.round(canvasDisplayHeight * pixelRatio);
+        if (canvas.width !== backingWidth || canvas.height !== backingHeight) { // Setting either clears the canvas
+            canvas.width = backingWidth;
+            canvas.height = backingHeight;
+        }
         drawGrid();
-    });
-    // Fallback if load event already fired or for quicker setup
-    if (document.readyState === 'complete') {
-         cellSize = canvas.width / gridSize;
-         drawGrid();
     }
 
+    // Browser zoom changes devicePixelRatio together with the window size, but moving the window to another screen
+    // only changes devicePixelRatio
+    function watchPixelRatio() {
+        if (!window.matchMedia) return;
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        if (!query.addEventListener) return;
+        query.addEventListener('change', () => {
+            resizeCanvas();
+            watchPixelRatio();
+        }, { once: true });
+    }
 
-    // --- PC Keyboard Input & Display Mapping ---
+    // --- Zoom & Pan ---
+    // The Viewport model (viewport.js) holds the zoom and the part of the grid in view; drawGrid and
+    // getCellFromCoordinates both follow it. The wheel zooms with Ctrl held (a trackpad pinch sends the same)
+    // or in "Pan & zoom" mode, where dragging moves the grid and two fingers pinch instead of playing
+    // (browsers without Pointer Events zoom with the buttons and the wheel only).
+    const zoomOutButton = document.getElementById('zoom-out-button');
+    const zoomInButton = document.getElementById('zoom-in-button');
+    const zoomResetButton = document.getElementById('zoom-reset-button');
+    const zoomLevel = document.getElementById('zoom-level');
+    const canvasNavigateCheckbox = document.getElementById('canvas-navigate');
+    const zoomButtonStep = 1.5;
+    const wheelZoomSpeed = 0.002; // Zoom factor per wheel pixel, as a power of e
+
+    // Pointers dragging the grid in "Pan & zoom" mode: pointerId -> { x, y } last client position
+    const navigationPointers = new Map();
+
+    function updateZoomControls() {
+        zoomLevel.textContent = `${Math.round(Viewport.zoom * 100)}%`;
+        zoomOutButton.disabled = !Viewport.isZoomed();
+        zoomResetButton.disabled = !Viewport.isZoomed();
+        zoomInButton.disabled = Viewport.zoom >= Viewport.maxZoom;
+    }
 
-    let pcKeyShiftOffset = 0; // 0 = default, 1 = shifted up, -1 = shifted down, etc.
-    const pressedKeys = new Set();
+    function updateView() {
+        updateZoomControls();
+        drawGrid();
+    }
 
-    // 화면 셀의 linearIndex (0-48) からハーモニック値を取得する関数
-    function getHarmonicForCell(linearIndex) {
-        const referenceCellLinearIndex = 21; // 1x の音に対応するセルのインデックス
-        if (linearIndex === referenceCellLinearIndex) {
-            return 1; // 1x
-        } else if (linearIndex > referenceCellLinearIndex) {
-            const multiple = (linearIndex - referenceCellLinearIndex + 1);
-            return multiple; // 倍音
-        } else { // linearIndex < referenceCellLinearIndex
-            const divisor = (referenceCellLinearIndex - linearIndex) + 1;
-            if (divisor === 0) return 1; // Should not happen
-            return 1 / divisor; // サブハーモニック
+    // Zooms around a point given in client coordinates, or around the middle of the canvas
+    function zoomCanvas(factor, clientX = null, clientY = null) {
+        const rect = canvas.getBoundingClientRect();
+        if (clientX === null) {
+            Viewport.zoomAt(factor);
+        } else {
+            Viewport.zoomAt(factor, (clientX - rect.left) / rect.width, (clientY - rect.top) / rect.height);
         }
+        updateView();
     }
 
-    // 使用するPCキーの配列 (下段左から上段右へ)
-    const pcKeys = [
-        'z', 'x', 'c', 'v', 'm', ',', '.',  // 7 keys
-        'a', 's', 'd', 'f', 'j', 'k', 'l',  // 7 keys
-        'q', 'w', 'e', 'r', 'u', 'i', 'o'   // 7 keys
-    ]; // Total 21 keys
+    // One pointer drags the grid. With two, their midpoint drags it and their distance zooms around the midpoint.
+    function navigationPointerMove(pointerId, clientX, clientY) {
+        const previous = navigationPointers.get(pointerId);
+        if (!previous) return;
+        const rect = canvas.getBoundingClientRect();
+        const [firstId, secondId] = navigationPointers.keys();
+        if (navigationPointers.size === 1) {
+            Viewport.panBy((clientX - previous.x) / rect.width, (clientY - previous.y) / rect.height);
+        } else if (pointerId === firstId || pointerId === secondId) { // Any further fingers are ignored
+            const other = navigationPointers.get(pointerId === firstId ? secondId : firstId);
+            const distanceBefore = Math.hypot(previous.x - other.x, previous.y - other.y);
+            const distanceAfter = Math.hypot(clientX - other.x, clientY - other.y);
+            const midX = (clientX + other.x) / 2;
+            const midY = (clientY + other.y) / 2;
+            Viewport.panBy((midX - (previous.x + other.x) / 2) / rect.width, (midY - (previous.y + other.y) / 2) / rect.height);
+            if (distanceBefore > 0) {
+                Viewport.zoomAt(distanceAfter / distanceBefore, (midX - rect.left) / rect.width, (midY - rect.top) / rect.height);
+            }
+        }
+        navigationPointers.set(pointerId, { x: clientX, y: clientY });
+        updateView();
+    }
 
-    // シフト0の時の、各PCキーが対応する画面セルの initial linearIndex
-    const defaultPcKeyInitialCellIndex = {};
-    const zInitialCellIndex = 14; // 'z'キーは linearIndex 14 から始まる
-    pcKeys.forEach((key, index) => {
-        defaultPcKeyInitialCellIndex[key] = zInitialCellIndex + index;
+    canvas.addEventListener('wheel', (event) => {
+        if (!event.ctrlKey && !canvasNavigateCheckbox.checked) return; // The page scrolls as usual
+        event.preventDefault();
+        const pixels = event.deltaY * (event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? canvasDisplayHeight : 1); // Lines or pages
+        zoomCanvas(Math.exp(-pixels * wheelZoomSpeed), event.clientX, event.clientY);
+    }, { passive: false });
+
+    zoomInButton.addEventListener('click', () => zoomCanvas(zoomButtonStep));
+    zoomOutButton.addEventListener('click', () => zoomCanvas(1 / zoomButtonStep));
+    zoomResetButton.addEventListener('click', () => {
+        Viewport.reset();
+        updateView();
+    });
+    canvasNavigateCheckbox.addEventListener('change', () => {
+        // Notes held by pointers end, so the same fingers can start moving the grid
+        activePointers.forEach((pointer, pointerId) => pointerUp(pointerId));
+        navigationPointers.clear();
+        canvas.classList.toggle('navigating', canvasNavigateCheckbox.checked);
     });
 
-    // This function calculates the HARMONIC VALUE and corresponding CELL INDEX 
-    // for a pressed PC key based on the current shift
-    function getHarmonicInfoForPcKey(physicalKey, shift) {
-        if (defaultPcKeyInitialCellIndex[physicalKey] === undefined) {
-            return null; 
+    if (window.PointerEvent) {
+        // Pointer Events cover mouse, pen and touch; each finger gets its own pointerId.
+        // Touch pointers are implicitly captured, so a finger sliding off the canvas keeps sending pointermove.
+        canvas.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            if (canvasNavigateCheckbox.checked) {
+                navigationPointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+                canvas.setPointerCapture(event.pointerId); // A mouse dragging the grid keeps it beyond the canvas edge
+                return;
+            }
+            pointerDown(event.pointerId, event.clientX, event.clientY, event.pointerType === 'touch' ? 'touch' : 'canvas', getPenPressure(event));
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (navigationPointers.has(event.pointerId)) {
+                navigationPointerMove(event.pointerId, event.clientX, event.clientY);
+                return;
+            }
+            pointerMove(event.pointerId, event.clientX, event.clientY, getPenPressure(event));
+            if (event.pointerType === 'mouse') updateCanvasTooltip(event.clientX, event.clientY);
+        });
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(eventName => {
+            canvas.addEventListener(eventName, (event) => {
+                navigationPointers.delete(event.pointerId);
+                pointerUp(event.pointerId);
+            });
+        });
+    } else {
+        // Fallback for browsers without Pointer Events
+        canvas.addEventListener('mousedown', (event) => pointerDown('mouse', event.clientX, event.clientY, 'canvas'));
+        canvas.addEventListener('mousemove', (event) => {
+            pointerMove('mouse', event.clientX, event.clientY);
+            updateCanvasTooltip(event.clientX, event.clientY);
+        });
+        canvas.addEventListener('mouseup', () => pointerUp('mouse'));
+        canvas.addEventListener('mouseleave', () => pointerUp('mouse')); // If mouse leaves canvas while pressed
+
+        // Touch events: only changedTouches are handled, so each finger is tracked by its Touch.identifier
+        canvas.addEventListener('touchstart', (event) => {
+            event.preventDefault();
+            for (const touch of event.changedTouches) {
+                pointerDown(`touch-${touch.identifier}`, touch.clientX, touch.clientY, 'touch');
+            }
+        });
+
+        canvas.addEventListener('touchmove', (event) => {
+            event.preventDefault();
+            for (const touch of event.changedTouches) {
+                pointerMove(`touch-${touch.identifier}`, touch.clientX, touch.clientY);
+            }
+        });
+
+        ['touchend', 'touchcancel'].forEach(eventName => {
+            canvas.addEventListener(eventName, (event) => {
+                event.preventDefault();
+                for (const touch of event.changedTouches) {
+                    pointerUp(`touch-${touch.identifier}`);
+                }
+            });
+        });
+    }
+
+
+    // --- Accessible Grid ---
+    // The canvas is only pixels, so a hidden ARIA grid mirrors it cell by cell for screen readers and the keyboard.
+    // One cell at a time is in the tab order (roving tabindex); arrow keys move the focus, which the canvas outlines,
+    // and holding Enter or Space plays the cell like a mapped PC key. A live region announces notes and shifts.
+    const gridMirror = document.getElementById('grid-mirror');
+    const gridAnnouncer = document.getElementById('grid-announcer');
+    let gridMirrorCells = []; // Cell elements by linear index
+    let gridTabCell = null; // Cell in the tab order
+
+    // e.g. "5th harmonic, 2200 Hz"; scale cells tuned in cents are named by their pitch
+    function getCellDescription(linearIndex) {
+        const frequency = Tuning.getFrequency(linearIndex);
+        if (frequency <= 0) return 'Not mapped by the .kbm';
+        const ratio = Tuning.getRatio(linearIndex);
+        const name = ratio ? NoteInfo.getRatioName(ratio) : `Pitch ${Tuning.getLabel(linearIndex)}`;
+        return `${name}, ${Number(frequency.toFixed(2))} Hz`;
+    }
+
+    // Repeating the same text would not be announced again, so it alternates with a trailing no-break space
+    function announce(text) {
+        gridAnnouncer.textContent = gridAnnouncer.textContent === text ? `${text}\u00a0` : text;
+    }
+
+    function announceShift() {
+        announce(`Keys shifted to ${KeyMap.shift > 0 ? '+' : ''}${KeyMap.shift} of ±${KeyMap.shiftRange}`);
+    }
+
+    // Rows from the top, like the canvas; called whenever the grid's size or tuning changes
+    function buildGridMirror() {
+        gridMirror.innerHTML = '';
+        gridMirrorCells = [];
+        for (let row = 0; row < Tuning.gridHeight; row++) {
+            const rowElement = document.createElement('div');
+            rowElement.setAttribute('role', 'row');
+            for (let col = 0; col < Tuning.gridWidth; col++) {
+                const linearIndex = Tuning.getLinearIndex(col, row);
+                const cellElement = document.createElement('div');
+                cellElement.setAttribute('role', 'gridcell');
+                cellElement.tabIndex = -1;
+                cellElement.dataset.cell = linearIndex;
+                rowElement.appendChild(cellElement);
+                gridMirrorCells[linearIndex] = cellElement;
+            }
+            gridMirror.appendChild(rowElement);
         }
+        if (!Tuning.isValidIndex(gridTabCell)) gridTabCell = Tuning.referenceCellIndex;
+        gridMirrorCells[gridTabCell].tabIndex = 0;
+        updateGridMirrorLabels();
+    }
 
-        const baseCellIndex = defaultPcKeyInitialCellIndex[physicalKey];
-        let shiftedCellIndex = baseCellIndex + (shift * 7);
+    function updateGridMirrorLabels() {
+        gridMirrorCells.forEach((cellElement, linearIndex) => {
+            const keys = KeyMap.getCodesForCell(linearIndex).map(code => KeyMap.getKeyLabel(code));
+            const description = getCellDescription(linearIndex);
+            cellElement.setAttribute('aria-label', keys.length > 0 ? `${description}, key ${keys.join(' ')}` : description);
+        });
+    }
 
-        shiftedCellIndex = Math.max(0, Math.min(48, shiftedCellIndex)); // Clamp to 0-48
+    function focusGridCell(linearIndex) {
+        gridMirrorCells[gridTabCell].tabIndex = -1;
+        gridTabCell = linearIndex;
+        gridMirrorCells[linearIndex].tabIndex = 0;
+        gridMirrorCells[linearIndex].focus();
+    }
 
-        return {
-            cellIndex: shiftedCellIndex,
-            harmonic: getHarmonicForCell(shiftedCellIndex)
+    // Cell an arrow, Home or End key moves to from a cell (Ctrl + Home/End: the first or last cell of the grid),
+    // or null for other keys. The focus stops at the edges.
+    function getGridNavigationTarget(event, linearIndex) {
+        const { col, row } = Tuning.getCellPosition(linearIndex);
+        const lastCol = Tuning.gridWidth - 1;
+        const lastRow = Tuning.gridHeight - 1;
+        const targets = {
+            ArrowLeft: [Math.max(0, col - 1), row],
+            ArrowRight: [Math.min(lastCol, col + 1), row],
+            ArrowUp: [col, Math.max(0, row - 1)],
+            ArrowDown: [col, Math.min(lastRow, row + 1)],
+            Home: event.ctrlKey ? [0, 0] : [0, row],
+            End: event.ctrlKey ? [lastCol, lastRow] : [lastCol, row]
         };
+        const target = targets[event.key];
+        return target ? Tuning.getLinearIndex(target[0], target[1]) : null;
+    }
+
+    gridMirror.addEventListener('keydown', (event) => {
+        const linearIndex = Number(event.target.dataset.cell);
+        if (!Tuning.isValidIndex(linearIndex)) return;
+        const target = getGridNavigationTarget(event, linearIndex);
+        if (target !== null) {
+            event.preventDefault();
+            event.stopPropagation(); // The arrows move the focus here instead of shifting the PC keys
+            focusGridCell(target);
+            return;
+        }
+        if (event.code === 'Enter' || event.code === 'NumpadEnter' || event.code === 'Space') {
+            event.preventDefault();
+            event.stopPropagation(); // Space plays the cell here instead of working the sustain pedal
+            if (event.repeat || pressedKeys.has(event.code)) return;
+            if (!handleCellPress(linearIndex)) pressCellKey(event.code, linearIndex, event.repeat);
+        }
+    });
+    gridMirror.addEventListener('keyup', (event) => {
+        if (event.code !== 'Enter' && event.code !== 'NumpadEnter' && event.code !== 'Space') return;
+        event.stopPropagation();
+        releaseCellKey(event.code);
+    });
+    gridMirror.addEventListener('focusin', (event) => {
+        const linearIndex = Number(event.target.dataset.cell);
+        if (!Tuning.isValidIndex(linearIndex)) return;
+        gridFocusCell = linearIndex;
+        // Keeps the focused cell in view when the canvas is zoomed in
+        const { col, row } = Tuning.getCellPosition(linearIndex);
+        Viewport.reveal(col / Tuning.gridWidth, row / Tuning.gridHeight, (col + 1) / Tuning.gridWidth, (row + 1) / Tuning.gridHeight);
+        drawGrid();
+    });
+    gridMirror.addEventListener('focusout', (event) => {
+        if (gridMirror.contains(event.relatedTarget)) return; // Moving to another cell
+        gridFocusCell = null;
+        drawGrid();
+    });
+
+    // Initial size and draw. The frame's width is final once the page is laid out, and follows the window afterwards.
+    if (window.ResizeObserver) {
+        // Resizing the canvas changes the frame's height, so it waits for the next frame instead of re-triggering the observer
+        new ResizeObserver(() => requestAnimationFrame(resizeCanvas)).observe(canvasFrame);
+    }
+    window.addEventListener('resize', resizeCanvas);
+    window.addEventListener('load', resizeCanvas);
+    // Fallback if load event already fired or for quicker setup
+    if (document.readyState === 'complete') {
+         resizeCanvas();
     }
+    watchPixelRatio();
+    updateZoomControls();
 
-    const activePcKeyLinearIndices = new Set(); // To store linearIndices of active PC keys
+
+    // --- PC Keyboard Input & Display Mapping ---
+    // Keys are matched by KeyboardEvent.code through the active key map (keymap.js), so they stay in place on any layout
+    const keyMapPresetSelect = document.getElementById('keymap-preset');
+    const keyMapNameInput = document.getElementById('keymap-name');
+    const keyMapSaveButton = document.getElementById('keymap-save-button');
+    const keyMapDeleteButton = document.getElementById('keymap-delete-button');
+    const keyMapExportButton = document.getElementById('keymap-export-button');
+    const keyMapImportInput = document.getElementById('keymap-import');
+    const keyMapShiftStepInput = document.getElementById('keymap-shift-step');
+    const keyMapShiftRangeInput = document.getElementById('keymap-shift-range');
+    const keyMapEditCheckbox = document.getElementById('keymap-edit');
+    const keyMapStatus = document.getElementById('keymap-status');
 
     function updatePcKeyShiftIndicator() {
         const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
@@ -419,10 +1052,10 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!offsetIndicator) {
                 offsetIndicator = document.createElement('p');
                 offsetIndicator.id = 'pc-key-shift-indicator';
-                const container = canvas.parentNode;
-                container.insertBefore(offsetIndicator, canvas.nextSibling);
+                const container = canvasFrame.parentNode;
+                container.insertBefore(offsetIndicator, canvasFrame.nextSibling);
             }
-            offsetIndicator.textContent = `PC Key Sound Shift Offset: ${pcKeyShiftOffset}`;
+            offsetIndicator.textContent = `PC Key Sound Shift Offset: ${KeyMap.shift} (±${KeyMap.shiftRange})`;
 
             if (!helpTextElement) {
                 helpTextElement = document.createElement('p');
@@ -431,10 +1064,13 @@ document.addEventListener('DOMContentLoaded', () => {
                      offsetIndicator.parentNode.insertBefore(helpTextElement, offsetIndicator);
                 }
             }
-            helpTextElement.textContent = 'カーソルキー（↑↓）でキーボードの音程割り当てを変更できます。';
+            const stepText = KeyMap.shiftStep === null ? '1行' : `${KeyMap.shiftStep}セル`;
+            helpTextElement.textContent = `カーソルキー（↑↓）で全キーの音程割り当てを${stepText}ずつ、±${KeyMap.shiftRange}段までシフトできます。` +
+                'Space: サステイン、Esc: パニック。キーの割り当ては「PC Keyboard」設定で変更・保存できます。';
             helpTextElement.style.display = '';
             offsetIndicator.style.display = '';
         }
+        updateGridMirrorLabels(); // The cells' keys follow the shift and the key map
         drawGrid();
     }
 
@@ -443,104 +1079,1789 @@ document.addEventListener('DOMContentLoaded', () => {
     } else {
         window.addEventListener('DOMContentLoaded', updatePcKeyShiftIndicator);
     }
-    window.addEventListener('resize', updatePcKeyShiftIndicator);
+
+    // Key-mapping editor: a click selects a cell (see pointerDown), the next key pressed is bound to it
+    function selectKeyMapEditCell(cellIndex) {
+        keyMapEditCell = cellIndex;
+        keyMapStatus.textContent = `Press the key that should play ${Tuning.getLabel(cellIndex)} (Backspace removes its keys, Esc cancels).`;
+        drawGrid();
+    }
+
+    function handleKeyMapEditKey(event) {
+        const cellLabel = Tuning.getLabel(keyMapEditCell);
+        if (event.code === 'Escape') {
+            keyMapStatus.textContent = '';
+        } else if (event.code === 'Backspace' || event.code === 'Delete') {
+            const codes = KeyMap.unbindCell(keyMapEditCell);
+            keyMapStatus.textContent = codes.length ? `Removed ${codes.map(code => KeyMap.getKeyLabel(code)).join(' ')} from ${cellLabel}.` : `No key plays ${cellLabel}.`;
+        } else {
+            try {
+                KeyMap.bind(event.code, keyMapEditCell);
+                keyMapStatus.textContent = `${KeyMap.getKeyLabel(event.code)} (${event.code}) now plays ${cellLabel}. Save the map to keep it.`;
+            } catch (e) {
+                keyMapStatus.textContent = e.message;
+                return;
+            }
+        }
+        keyMapEditCell = null;
+        drawGrid();
+    }
 
     document.addEventListener('keydown', (event) => {
-        const key = event.key.toLowerCase();
+        if (isEditableControl(event.target)) return;
 
-        if (event.key === 'ArrowUp') {
-            pcKeyShiftOffset++;
-            if (pcKeyShiftOffset > 3) pcKeyShiftOffset = 3;
-            updatePcKeyShiftIndicator();
+        if (event.code === 'ArrowUp' || event.code === 'ArrowDown') {
+            if (isInteractiveControl(event.target)) return; // Arrows shift only from the page or the canvas
+            if (KeyMap.shiftBy(event.code === 'ArrowUp' ? 1 : -1)) {
+                updatePcKeyShiftIndicator();
+                announceShift();
+            }
             event.preventDefault();
             return;
         }
-        if (event.key === 'ArrowDown') {
-            pcKeyShiftOffset--;
-            if (pcKeyShiftOffset < -3) pcKeyShiftOffset = -3;
-            updatePcKeyShiftIndicator();
+
+        if (keyMapEditCell !== null) {
+            if (/^(Shift|Control|Alt|Meta)/.test(event.code)) return; // Wait for the key itself
             event.preventDefault();
+            event.stopImmediatePropagation(); // The key is being bound, not played (Esc does not panic here)
+            handleKeyMapEditKey(event);
             return;
         }
-
-        // Check if the key is one of the mapped PC keys
-        if (defaultPcKeyInitialCellIndex[key] !== undefined && !pressedKeys.has(key)) {
-            const keyHarmonicInfo = getHarmonicInfoForPcKey(key, pcKeyShiftOffset);
-            
-            if (keyHarmonicInfo === null || keyHarmonicInfo.harmonic === null) return; 
-
-            const harmonicValue = keyHarmonicInfo.harmonic;
-            let frequency;
-            if (harmonicValue >= 1) {
-                frequency = baseFrequency * harmonicValue;
-            } else { 
-                frequency = baseFrequency * harmonicValue;
-            }
-
-            if (frequency > 0 && frequency < audioContext.sampleRate / 2) {
-                playTone(frequency, soundSourceSelect.value);
-                pressedKeys.add(key);
-                activePcKeyLinearIndices.add(keyHarmonicInfo.cellIndex);
-                drawGrid(); // Redraw to show active PC key cell
-            }
+        if (gamepadEditCell !== null && ['Escape', 'Backspace', 'Delete'].includes(event.code)) {
+            event.preventDefault();
+            event.stopImmediatePropagation(); // Esc cancels the controller-mapping editor instead of panicking
+            handleGamepadEditKey(event.code);
+            return;
         }
+
+        if (event.ctrlKey || event.metaKey || event.altKey) return; // Leave browser shortcuts alone
+        if (pressedKeys.has(event.code)) return; // Auto-repeat
+        const cellIndex = KeyMap.getCell(event.code);
+        if (cellIndex === null) return;
+        event.preventDefault(); // e.g. '/' opens quick find in some browsers
+        pressCellKey(event.code, cellIndex, event.repeat);
     });
 
-    document.addEventListener('keyup', (event) => {
-        const key = event.key.toLowerCase();
-        if (defaultPcKeyInitialCellIndex[key] !== undefined) {
-            const keyHarmonicInfo = getHarmonicInfoForPcKey(key, pcKeyShiftOffset);
-
-            // We still need to get harmonicValue to stop the correct sound,
-            // even if keyHarmonicInfo or its harmonic is null (e.g. if key was unmapped during a shift change while held)
-            // However, for stopping, we primarily need the frequency that was played.
-            // The current approach of recalculating harmonic value on keyup is generally okay.
-            
-            let harmonicValueToStop;
-            if (keyHarmonicInfo && keyHarmonicInfo.harmonic !== null) {
-                harmonicValueToStop = keyHarmonicInfo.harmonic;
-                activePcKeyLinearIndices.delete(keyHarmonicInfo.cellIndex);
-            } else {
-                // Fallback: try to get the harmonic value based on the key's default mapping if current shift is problematic
-                // This part is tricky if the mapping changed significantly while key was held.
-                // For simplicity, we'll assume the sound to stop corresponds to the key's *current* shifted value.
-                // If a key becomes unmapped, its sound might not stop correctly with this simple approach.
-                // A more robust solution would store the *actual playing frequency* with the pressedKey.
-                // For now, we proceed with recalculating.
-                const fallbackInfo = getHarmonicInfoForPcKey(key, pcKeyShiftOffset); // Recalculate for stopping
-                if (fallbackInfo && fallbackInfo.harmonic !== null) {
-                    harmonicValueToStop = fallbackInfo.harmonic;
-                    // activePcKeyLinearIndices.delete(fallbackInfo.cellIndex); // Already handled or not added if null
-                }
-            }
+    document.addEventListener('keyup', (event) => releaseCellKey(event.code));
 
-            if (harmonicValueToStop === undefined) return;
+    // Plays a cell until the key is released (releaseCellKey), or toggles it in latch mode.
+    // Used by the PC key map and by Enter/Space in the accessible grid.
+    function pressCellKey(code, cellIndex, repeat) {
+        if (latchModeCheckbox.checked) {
+            if (!repeat) toggleLatch(cellIndex, 'keyboard');
+            return;
+        }
 
+        const frequency = Tuning.getFrequency(cellIndex);
 
-            let frequency;
-            if (harmonicValueToStop >= 1) {
-                frequency = baseFrequency * harmonicValueToStop; // Use harmonicValueToStop
-            } else {
-                frequency = baseFrequency * harmonicValueToStop; // Use harmonicValueToStop
-            }
+        if (frequency > 0 && frequency < audioContext.sampleRate / 2) {
+            const notes = startCellNotes(`key:${code}`, cellIndex, 'keyboard');
+            pressedKeys.set(code, { cellIndex, frequency, notes });
+            announce(getCellDescription(cellIndex));
+            drawGrid(); // Redraw to show active PC key cell
+        }
+    }
 
-            if (soundSourceSelect.value === 'piano' && frequency > 0) {
-                Piano.stop(frequency); 
-            } else if (soundSourceSelect.value === 'sine' && frequency > 0) {
-                stopTone(frequency, 'sine'); // Call stopTone for sine wave
-            }
-            // Note: If other sound sources are added in the future, their stop logic would go here.
+    function releaseCellKey(code) {
+        const pressedKey = pressedKeys.get(code);
+        if (!pressedKey) return;
+        // Stop the voice the key started, whatever the shift or the key map is now
+        endCellNotes(pressedKey.notes);
+        pressedKeys.delete(code);
+        drawGrid(); // Redraw to remove PC key highlight
+    }
 
-            pressedKeys.delete(key);
-            drawGrid(); // Redraw to remove PC key highlight
+    function fillKeyMapSelect(selectedName) {
+        keyMapPresetSelect.innerHTML = '';
+        const presetGroup = document.createElement('optgroup');
+        presetGroup.label = 'Presets';
+        KeyMap.presets.forEach(map => presetGroup.appendChild(new Option(map.name, map.name)));
+        keyMapPresetSelect.appendChild(presetGroup);
+        if (KeyMap.userMaps.length > 0) {
+            const userGroup = document.createElement('optgroup');
+            userGroup.label = 'My key maps';
+            KeyMap.userMaps.forEach(map => userGroup.appendChild(new Option(map.name, map.name)));
+            keyMapPresetSelect.appendChild(userGroup);
         }
-    });
+        keyMapPresetSelect.value = KeyMap.find(selectedName) ? selectedName : KeyMap.presets[0].name;
+        showKeyMapSettings();
+    }
+
+    function showKeyMapSettings() {
+        keyMapNameInput.value = KeyMap.name;
+        keyMapShiftStepInput.value = KeyMap.shiftStep === null ? '' : KeyMap.shiftStep;
+        keyMapShiftRangeInput.value = KeyMap.shiftRange;
+        keyMapDeleteButton.disabled = !KeyMap.userMaps.some(map => map.name === keyMapPresetSelect.value);
+    }
+
+    function applyKeyMap(map) {
+        KeyMap.apply(map);
+        showKeyMapSettings();
+        updatePcKeyShiftIndicator();
+    }
+
+    keyMapPresetSelect.addEventListener('change', () => {
+        applyKeyMap(KeyMap.find(keyMapPresetSelect.value));
+        keyMapStatus.textContent = '';
+    });
+    [keyMapShiftStepInput, keyMapShiftRangeInput].forEach(input => input.addEventListener('change', () => {
+        KeyMap.configure({
+            shiftStep: keyMapShiftStepInput.value.trim() === '' ? null : parseInt(keyMapShiftStepInput.value, 10),
+            shiftRange: parseInt(keyMapShiftRangeInput.value, 10)
+        });
+        showKeyMapSettings(); // Shows the clamped values
+        updatePcKeyShiftIndicator();
+    }));
+    keyMapEditCheckbox.addEventListener('change', () => {
+        keyMapEditCell = null;
+        if (keyMapEditCheckbox.checked && gamepadEditCheckbox.checked) { // One editor at a time owns canvas clicks
+            gamepadEditCheckbox.checked = false;
+            gamepadEditCell = null;
+            gamepadStatus.textContent = '';
+        }
+        keyMapStatus.textContent = keyMapEditCheckbox.checked ? 'Click a cell, then press the key that should play it.' : '';
+        drawGrid();
+    });
+    keyMapSaveButton.addEventListener('click', () => {
+        try {
+            const name = KeyMap.saveUserMap(keyMapNameInput.value);
+            fillKeyMapSelect(name);
+            keyMapStatus.textContent = `Saved "${name}".`;
+        } catch (e) {
+            keyMapStatus.textContent = e.message;
+        }
+    });
+    keyMapDeleteButton.addEventListener('click', () => {
+        const name = keyMapPresetSelect.value;
+        KeyMap.deleteUserMap(name);
+        fillKeyMapSelect(KeyMap.presets[0].name);
+        applyKeyMap(KeyMap.presets[0]);
+        keyMapStatus.textContent = `Deleted "${name}".`;
+    });
+    keyMapExportButton.addEventListener('click', () => {
+        downloadFile('harmkey-keymap.json', new Blob([KeyMap.toJSON()], { type: 'application/json' }));
+    });
+    keyMapImportInput.addEventListener('change', () => {
+        const file = keyMapImportInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            const map = KeyMap.parse(text);
+            map.name = map.name || file.name.replace(/\.json$/i, '');
+            if (KeyMap.presets.some(preset => preset.name === map.name)) map.name += ' (imported)';
+            KeyMap.apply(map);
+            fillKeyMapSelect(KeyMap.saveUserMap(map.name));
+            updatePcKeyShiftIndicator();
+            keyMapStatus.textContent = `Imported "${map.name}".`;
+        }).catch(e => {
+            keyMapStatus.textContent = `Could not import ${file.name}: ${e.message}`;
+        }).finally(() => {
+            keyMapImportInput.value = ''; // Allow importing the same file again
+        });
+    });
+
+    KeyMap.load();
+    fillKeyMapSelect(KeyMap.presets[0].name);
+    KeyMap.loadLayoutLabels().then(() => updatePcKeyShiftIndicator()); // Label the cells with the characters of the user's layout
+
+    // --- Sound Source Selection ---
+    // The select and the parameter sliders are built from the SoundSources registry
+    const sourceParamsContainer = document.getElementById('source-params');
+
+    SoundSources.init(audioContext);
+    SoundSources.list().forEach(source => {
+        soundSourceSelect.appendChild(new Option(source.name, source.id));
+    });
+
+    function renderSourceParams() {
+        const source = SoundSources.get(soundSourceSelect.value);
+        sourceParamsContainer.innerHTML = '';
+        sourceParamsContainer.hidden = source.params.length === 0;
+        source.params.forEach(param => {
+            const inputId = `source-param-${source.id}-${param.id}`;
+            const label = document.createElement('label');
+            label.htmlFor = inputId;
+            label.textContent = `${param.name}:`;
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.id = inputId;
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = param.value;
+            const output = document.createElement('output');
+            output.htmlFor = inputId;
+            output.textContent = param.value;
+            input.addEventListener('input', () => {
+                SoundSources.setParam(source.id, param.id, parseFloat(input.value));
+                output.textContent = param.value;
+            });
+            sourceParamsContainer.append(label, input, output);
+        });
+    }
 
-    // --- Sound Source Selection ---
     soundSourceSelect.addEventListener('change', () => {
-        // Future: May need to stop all current sounds or handle transition
+        // Notes still sounding belong to the previous source: release them cleanly
+        releaseAllTones();
+        restartLatchedDrones(); // Drones keep sounding with the new source
+        renderSourceParams();
         console.log(`Sound source changed to: ${soundSourceSelect.value}`);
     });
+    renderSourceParams();
+
+    // --- Master Effects ---
+    // Controls are built from each effect's parameter schema (effects.js), like the sound source sliders
+    const masterEffectsContainer = document.getElementById('master-effects');
+
+    function renderMasterEffects() {
+        masterEffectsContainer.innerHTML = '';
+        MasterEffects.effects.forEach(effect => {
+            const group = document.createElement('div');
+            group.className = 'master-effect';
+            const enableLabel = document.createElement('label');
+            const enableCheckbox = document.createElement('input');
+            enableCheckbox.type = 'checkbox';
+            enableCheckbox.id = `effect-${effect.id}-enabled`;
+            enableCheckbox.checked = !effect.bypassed;
+            enableCheckbox.title = 'Untick to bypass';
+            enableLabel.append(enableCheckbox, ` ${effect.name}`);
+            group.appendChild(enableLabel);
+
+            const inputs = [];
+            const updateUsedParams = () => inputs.forEach(({ param, input }) => {
+                input.disabled = !MasterEffects.isParamUsed(effect.id, param.id);
+            });
+            effect.params.forEach(param => {
+                const inputId = `effect-${effect.id}-${param.id}`;
+                const label = document.createElement('label');
+                label.htmlFor = inputId;
+                label.textContent = `${param.name}:`;
+                let input;
+                if (param.options) {
+                    input = document.createElement('select');
+                    Object.entries(param.options).forEach(([value, name]) => input.appendChild(new Option(name, value)));
+                    input.value = param.value;
+                    input.addEventListener('change', () => {
+                        MasterEffects.setParam(effect.id, param.id, input.value);
+                        updateUsedParams();
+                    });
+                    group.append(label, input);
+                } else {
+                    input = document.createElement('input');
+                    input.type = 'range';
+                    input.min = param.min;
+                    input.max = param.max;
+                    input.step = param.step;
+                    input.value = param.value;
+                    const output = document.createElement('output');
+                    output.htmlFor = inputId;
+                    output.textContent = param.value;
+                    input.addEventListener('input', () => {
+                        MasterEffects.setParam(effect.id, param.id, parseFloat(input.value));
+                        output.textContent = param.value;
+                    });
+                    group.append(label, input, output);
+                }
+                input.id = inputId;
+                inputs.push({ param, input });
+            });
+            enableCheckbox.addEventListener('change', () => MasterEffects.setBypassed(effect.id, !enableCheckbox.checked));
+            updateUsedParams();
+            masterEffectsContainer.appendChild(group);
+        });
+    }
+    renderMasterEffects();
+
+    // --- Additive Partial Editor ---
+    const additivePanel = document.getElementById('additive-panel');
+    const partialsCanvas = document.getElementById('partials-canvas');
+    const partialsCtx = partialsCanvas.getContext('2d');
+    const additivePresetSelect = document.getElementById('additive-preset');
+    let isEditingPartials = false;
+
+    Object.entries(AdditiveVoice.presets).forEach(([presetName, preset]) => {
+        additivePresetSelect.appendChild(new Option(preset.name, presetName));
+    });
+    additivePresetSelect.appendChild(new Option('Custom', 'custom'));
+
+    // One bar per partial, partial 1 on the left; bar height is the amplitude
+    function drawPartials() {
+        const barWidth = partialsCanvas.width / AdditiveVoice.partialCount;
+        partialsCtx.clearRect(0, 0, partialsCanvas.width, partialsCanvas.height);
+        AdditiveVoice.amplitudes.forEach((amplitude, i) => {
+            const barHeight = amplitude * (partialsCanvas.height - 12);
+            partialsCtx.fillStyle = '#4CAF50';
+            partialsCtx.fillRect(i * barWidth + 1, partialsCanvas.height - 12 - barHeight, barWidth - 2, barHeight);
+            partialsCtx.fillStyle = '#666';
+            partialsCtx.font = '9px sans-serif';
+            partialsCtx.textAlign = 'center';
+            partialsCtx.textBaseline = 'bottom';
+            partialsCtx.fillText(String(i + 1), i * barWidth + barWidth / 2, partialsCanvas.height);
+        });
+        additivePresetSelect.value = AdditiveVoice.presetName;
+    }
+
+    function editPartialAt(clientX, clientY) {
+        const rect = partialsCanvas.getBoundingClientRect();
+        const x = (clientX - rect.left) / rect.width;
+        const y = (clientY - rect.top) / rect.height;
+        const partialIndex = Math.floor(x * AdditiveVoice.partialCount);
+        if (partialIndex < 0 || partialIndex >= AdditiveVoice.partialCount) return;
+        const barAreaHeight = (partialsCanvas.height - 12) / partialsCanvas.height;
+        AdditiveVoice.setAmplitude(partialIndex, 1 - y / barAreaHeight);
+        drawPartials();
+    }
+
+    partialsCanvas.addEventListener('pointerdown', (event) => {
+        isEditingPartials = true;
+        editPartialAt(event.clientX, event.clientY);
+    });
+    partialsCanvas.addEventListener('pointermove', (event) => {
+        if (isEditingPartials) editPartialAt(event.clientX, event.clientY);
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(eventName => {
+        partialsCanvas.addEventListener(eventName, () => { isEditingPartials = false; });
+    });
+    additivePresetSelect.addEventListener('change', () => {
+        AdditiveVoice.applyPreset(additivePresetSelect.value);
+        drawPartials();
+        renderSourceParams(); // Presets also set the stretch slider
+    });
+
+    function updateAdditivePanel() {
+        additivePanel.hidden = soundSourceSelect.value !== 'additive';
+        if (!additivePanel.hidden) drawPartials();
+    }
+    soundSourceSelect.addEventListener('change', updateAdditivePanel);
+    updateAdditivePanel();
+
+    // --- Piano Sample Settings ---
+    const pianoSampleUrlsInput = document.getElementById('piano-sample-urls');
+    const pianoReloadButton = document.getElementById('piano-reload-button');
+
+    pianoSampleUrlsInput.value = Piano.sampleBaseUrls.join('\n');
+    pianoReloadButton.addEventListener('click', () => {
+        // One folder or URL per line; a trailing slash is added so file names can be appended
+        const sampleBaseUrls = pianoSampleUrlsInput.value.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => (line.endsWith('/') ? line : `${line}/`));
+        Piano.configure({ sampleBaseUrls });
+    });
+
+    // --- Chord Mode ---
+    // One click, key or MIDI note plays the selected ratio set from the pressed cell (see chords.js)
+    const chordModeCheckbox = document.getElementById('chord-mode');
+    const chordSetSelect = document.getElementById('chord-set');
+    const chordNameInput = document.getElementById('chord-name');
+    const chordRatiosInput = document.getElementById('chord-ratios');
+    const chordSaveButton = document.getElementById('chord-save-button');
+    const chordDeleteButton = document.getElementById('chord-delete-button');
+    const chordStatus = document.getElementById('chord-status');
+
+    function getChordRatios(rootRatio) {
+        const chord = Chords.find(chordSetSelect.value);
+        return chord ? Chords.getMemberRatios(rootRatio, chord.ratios) : [rootRatio];
+    }
+
+    function fillChordSetSelect(selectedName) {
+        chordSetSelect.innerHTML = '';
+        const presetGroup = document.createElement('optgroup');
+        presetGroup.label = 'Presets';
+        Chords.presets.forEach(set => presetGroup.appendChild(new Option(`${set.name} (${set.ratios})`, set.name)));
+        chordSetSelect.appendChild(presetGroup);
+        if (Chords.userSets.length > 0) {
+            const userGroup = document.createElement('optgroup');
+            userGroup.label = 'My chords';
+            Chords.userSets.forEach(set => userGroup.appendChild(new Option(`${set.name} (${set.ratios})`, set.name)));
+            chordSetSelect.appendChild(userGroup);
+        }
+        chordSetSelect.value = Chords.find(selectedName) ? selectedName : Chords.presets[0].name;
+        showSelectedChord();
+    }
+
+    function showSelectedChord() {
+        const chord = Chords.find(chordSetSelect.value);
+        chordNameInput.value = chord.name;
+        chordRatiosInput.value = chord.ratios;
+        chordDeleteButton.disabled = Chords.presets.includes(chord);
+    }
+
+    chordSetSelect.addEventListener('change', () => {
+        showSelectedChord();
+        chordStatus.textContent = '';
+    });
+    chordSaveButton.addEventListener('click', () => {
+        try {
+            const name = Chords.saveUserSet(chordNameInput.value, chordRatiosInput.value);
+            fillChordSetSelect(name);
+            chordStatus.textContent = `Saved "${name}".`;
+        } catch (e) {
+            chordStatus.textContent = e.message;
+        }
+    });
+    chordDeleteButton.addEventListener('click', () => {
+        const name = chordSetSelect.value;
+        Chords.deleteUserSet(name);
+        fillChordSetSelect(Chords.presets[0].name);
+        chordStatus.textContent = `Deleted "${name}".`;
+    });
+
+    Chords.load();
+    fillChordSetSelect(Chords.presets[0].name);
+
+    // --- Latch / Drone Mode & Sustain Pedal ---
+    // In latch mode a click, PC key or MIDI note toggles its cell on and off instead of playing while held,
+    // so a drone can sound while other harmonics are played by hand.
+    const latchModeCheckbox = document.getElementById('latch-mode');
+    const sustainButton = document.getElementById('sustain-button');
+    const clearLatchedButton = document.getElementById('clear-latched-button');
+    const latchedDronesContainer = document.getElementById('latched-drones');
+
+    // In chord mode the whole chord is latched as one drone
+    function toggleLatch(cellIndex, source, velocity = 1) {
+        const drone = latchedCells.get(cellIndex);
+        if (drone) {
+            latchedCells.delete(cellIndex);
+            endCellNotes(drone.notes);
+        } else {
+            const frequency = Tuning.getFrequency(cellIndex);
+            if (frequency <= 0 || frequency > audioContext.sampleRate / 2) return;
+            const notes = startCellNotes(`latch:${cellIndex}`, cellIndex, source, velocity);
+            latchedCells.set(cellIndex, { velocity, volume: 1, notes });
+        }
+        renderLatchedDrones();
+        drawGrid();
+    }
+
+    function clearLatched() {
+        latchedCells.forEach(drone => endCellNotes(drone.notes));
+        latchedCells.clear();
+        renderLatchedDrones();
+        drawGrid();
+    }
+
+    // Replays every drone with the current sound source, keeping its volume (MIDI out and recorder are unaffected)
+    function restartLatchedDrones() {
+        latchedCells.forEach(drone => {
+            drone.notes.forEach(note => {
+                if (note.voiceId === null) return; // Feeds the arpeggiator only
+                stopTone(note.voiceId);
+                note.voiceId = playTone(note.voiceKey, note.frequency, soundSourceSelect.value, drone.velocity, drone.volume);
+            });
+        });
+    }
+
+    // One volume slider per drone, lowest cell first
+    function renderLatchedDrones() {
+        latchedDronesContainer.innerHTML = '';
+        latchedDronesContainer.hidden = latchedCells.size === 0;
+        Array.from(latchedCells.keys()).sort((a, b) => a - b).forEach(cellIndex => {
+            const drone = latchedCells.get(cellIndex);
+            const inputId = `drone-volume-${cellIndex}`;
+            const label = document.createElement('label');
+            label.htmlFor = inputId;
+            label.textContent = drone.notes.length > 1 ? `${Tuning.getLabel(cellIndex)} chord:` : `${Tuning.getLabel(cellIndex)}:`;
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.id = inputId;
+            input.min = 0;
+            input.max = 1;
+            input.step = 0.01;
+            input.value = drone.volume;
+            input.addEventListener('input', () => {
+                drone.volume = parseFloat(input.value);
+                drone.notes.forEach(note => VoiceManager.setVolume(note.voiceId, drone.volume));
+            });
+            latchedDronesContainer.append(label, input);
+        });
+    }
+
+    function setSustain(isDown) {
+        if (isDown === isSustainDown) return;
+        isSustainDown = isDown;
+        sustainButton.classList.toggle('active', isDown);
+        if (!isDown) {
+            Array.from(sustainedNotes.keys()).forEach(releaseSustainedNote);
+        }
+    }
+
+    // Controls that take typed keys or arrows: text and number fields, selects, sliders, editable text.
+    // The PC keys do not play there, so e.g. '.' and digits reach a number field.
+    function isEditableControl(element) {
+        return element instanceof Element &&
+            element.matches('input:not([type="checkbox"]):not([type="radio"]):not([type="button"]), select, textarea, [contenteditable]');
+    }
+
+    // Space activates a focused button, checkbox or link, so it only works the pedal elsewhere
+    function isInteractiveControl(element) {
+        return element instanceof Element && element.matches('button, input, select, textarea, summary, a, [role="gridcell"]');
+    }
+
+    // Space acts as the sustain pedal; the button latches it for touch screens
+    let isSpaceSustaining = false; // Released on keyup even if focus moved onto a control meanwhile
+    document.addEventListener('keydown', (event) => {
+        if (event.code !== 'Space' || isInteractiveControl(event.target)) return;
+        event.preventDefault(); // Don't scroll the page
+        if (!event.repeat) {
+            isSpaceSustaining = true;
+            setSustain(true);
+        }
+    });
+    document.addEventListener('keyup', (event) => {
+        if (event.code !== 'Space' || !isSpaceSustaining) return;
+        if (!isInteractiveControl(event.target)) event.preventDefault();
+        isSpaceSustaining = false;
+        setSustain(false);
+    });
+    sustainButton.addEventListener('click', () => setSustain(!isSustainDown));
+    clearLatchedButton.addEventListener('click', clearLatched);
+    latchModeCheckbox.addEventListener('change', () => {
+        // Notes held in the other mode would have no way to be released
+        if (latchModeCheckbox.checked) {
+            activePointers.forEach((pointer, pointerId) => releasePointerNote(pointerId));
+            activePointers.clear();
+            pressedKeys.forEach(pressedKey => endCellNotes(pressedKey.notes));
+            pressedKeys.clear();
+            pressedGamepadButtons.forEach(pressedButton => endCellNotes(pressedButton.notes));
+            pressedGamepadButtons.clear();
+            drawGrid();
+        }
+    });
+
+    // --- Step Sequencer & Arpeggiator ---
+    // Sequencer.js schedules notes ahead on the AudioContext clock. Audio is scheduled right away;
+    // the cell highlights, MIDI output and recorder follow when each note's time comes.
+    const sequencerPlayButton = document.getElementById('sequencer-play-button');
+    const sequencerModeSelect = document.getElementById('sequencer-mode');
+    const arpOrderSelect = document.getElementById('arp-order');
+    const sequencerTempoInput = document.getElementById('sequencer-tempo');
+    const sequencerSwingInput = document.getElementById('sequencer-swing');
+    const sequencerLoopLengthInput = document.getElementById('sequencer-loop-length');
+    const sequencerStepsContainer = document.getElementById('sequencer-steps');
+    const sequencerSetStepButton = document.getElementById('sequencer-set-step');
+    const sequencerClearStepButton = document.getElementById('sequencer-clear-step');
+    let selectedStep = 0;
+    let sequencerNoteCount = 0;
+    let sequencerEvents = []; // { time, apply() } waiting for their AudioContext time
+    const sequencerVoiceIds = new Map(); // voiceKey -> voice ID of every note scheduled and not yet ended
+    let sequencerDisplayTimer = null;
+
+    Object.entries(Sequencer.arpOrders).forEach(([order, name]) => arpOrderSelect.appendChild(new Option(name, order)));
+
+    // Every note held by any input, once per frequency (the arpeggiator's material)
+    function getHeldNotes() {
+        const heldNotes = new Map(); // frequency -> note
+        const addNotes = notes => notes.forEach(note => heldNotes.set(note.frequency, note));
+        activePointers.forEach(pointer => addNotes(pointer.notes));
+        pressedKeys.forEach(pressedKey => addNotes(pressedKey.notes));
+        pressedGamepadButtons.forEach(pressedButton => addNotes(pressedButton.notes));
+        activeMidiNotes.forEach(midiNote => addNotes(midiNote.notes));
+        latchedCells.forEach(drone => addNotes(drone.notes));
+        return Array.from(heldNotes.values());
+    }
+
+    function processSequencerEvents() {
+        const now = audioContext.currentTime;
+        const dueEvents = sequencerEvents.filter(event => event.time <= now);
+        if (dueEvents.length === 0) return;
+        sequencerEvents = sequencerEvents.filter(event => event.time > now);
+        dueEvents.sort((a, b) => a.time - b.time).forEach(event => event.apply());
+        drawGrid();
+    }
+
+    const sequencerCallbacks = {
+        getHeldNotes,
+        playNote(note, velocity, startTime, endTime) {
+            const voiceKey = `sequencer:${++sequencerNoteCount}`;
+            const voiceId = playTone(voiceKey, note.frequency, soundSourceSelect.value, velocity, 1, startTime);
+            stopTone(voiceId, endTime); // The release is scheduled too, so gate lengths are exact
+            sequencerVoiceIds.set(voiceKey, voiceId);
+            sequencerEvents.push({
+                time: startTime,
+                apply() {
+                    sequencerCells.set(voiceKey, note.cellIndex);
+                    Midi.sendNoteOn(voiceKey, note.frequency, velocity);
+                    Recorder.recordNoteOn({ voice: voiceKey, cell: note.cellIndex, ratio: note.ratio, frequency: note.frequency, velocity, source: 'sequencer' });
+                }
+            });
+            sequencerEvents.push({
+                time: endTime,
+                apply() {
+                    sequencerVoiceIds.delete(voiceKey);
+                    sequencerCells.delete(voiceKey);
+                    Midi.sendNoteOff(voiceKey);
+                    Recorder.recordNoteOff(voiceKey);
+                }
+            });
+        },
+        onStep(stepIndex, time) {
+            sequencerEvents.push({ time, apply: () => showCurrentStep(stepIndex) });
+        }
+    };
+
+    function startSequencer() {
+        resumeAudioContext();
+        Sequencer.start(audioContext, sequencerCallbacks);
+        sequencerDisplayTimer = setInterval(processSequencerEvents, Sequencer.scheduleInterval);
+        sequencerPlayButton.classList.add('active');
+        sequencerPlayButton.textContent = '■ Sequencer';
+    }
+
+    // Notes already scheduled, sounding or not, are released now along with their highlights and MIDI notes
+    function stopSequencer() {
+        Sequencer.stop();
+        sequencerVoiceIds.forEach(voiceId => stopTone(voiceId));
+        sequencerVoiceIds.clear();
+        clearInterval(sequencerDisplayTimer);
+        sequencerDisplayTimer = null;
+        sequencerEvents = [];
+        sequencerCells.forEach((cellIndex, voiceKey) => {
+            Midi.sendNoteOff(voiceKey);
+            Recorder.recordNoteOff(voiceKey);
+        });
+        sequencerCells.clear();
+        showCurrentStep(null);
+        sequencerPlayButton.classList.remove('active');
+        sequencerPlayButton.textContent = '▶ Sequencer';
+        drawGrid();
+    }
+
+    function showCurrentStep(stepIndex) {
+        Array.from(sequencerStepsContainer.children).forEach((column, index) => {
+            column.classList.toggle('current', index === stepIndex);
+        });
+    }
+
+    // One column per step: its cells (click to select the step), gate and velocity
+    function renderSequencerSteps() {
+        sequencerStepsContainer.innerHTML = '';
+        Sequencer.steps.forEach((step, stepIndex) => {
+            const column = document.createElement('div');
+            column.className = 'sequencer-step';
+            column.classList.toggle('selected', stepIndex === selectedStep);
+            column.classList.toggle('outside-loop', stepIndex >= Sequencer.loopLength);
+
+            const cellsButton = document.createElement('button');
+            cellsButton.type = 'button';
+            const labels = step.cells.filter(cellIndex => Tuning.isValidIndex(cellIndex)).map(cellIndex => Tuning.getLabel(cellIndex));
+            cellsButton.textContent = labels.length > 0 ? labels.join(' ') : '·';
+            cellsButton.title = `Step ${stepIndex + 1}`;
+            cellsButton.addEventListener('click', () => {
+                selectedStep = stepIndex;
+                renderSequencerSteps();
+            });
+
+            const gateInput = document.createElement('input');
+            gateInput.type = 'number';
+            gateInput.min = 5;
+            gateInput.max = 100;
+            gateInput.step = 5;
+            gateInput.value = Math.round(step.gate * 100);
+            gateInput.title = 'Gate (% of the step)';
+            gateInput.addEventListener('change', () => {
+                const gate = parseInt(gateInput.value, 10);
+                if (gate >= 5 && gate <= 100) step.gate = gate / 100;
+                gateInput.value = Math.round(step.gate * 100);
+            });
+
+            const velocityInput = document.createElement('input');
+            velocityInput.type = 'number';
+            velocityInput.min = 0;
+            velocityInput.max = 100;
+            velocityInput.step = 5;
+            velocityInput.value = Math.round(step.velocity * 100);
+            velocityInput.title = 'Velocity (%, 0 = rest)';
+            velocityInput.addEventListener('change', () => {
+                const velocity = parseInt(velocityInput.value, 10);
+                if (velocity >= 0 && velocity <= 100) step.velocity = velocity / 100;
+                velocityInput.value = Math.round(step.velocity * 100);
+            });
+
+            column.append(cellsButton, gateInput, velocityInput);
+            sequencerStepsContainer.appendChild(column);
+        });
+    }
+
+    function applySequencerSettings() {
+        Sequencer.configure({
+            tempo: parseFloat(sequencerTempoInput.value),
+            swing: parseFloat(sequencerSwingInput.value) / 100,
+            loopLength: parseInt(sequencerLoopLengthInput.value, 10),
+            mode: sequencerModeSelect.value,
+            arpOrder: arpOrderSelect.value
+        });
+        sequencerTempoInput.value = Sequencer.tempo;
+        sequencerSwingInput.value = Math.round(Sequencer.swing * 100);
+        sequencerLoopLengthInput.value = Sequencer.loopLength;
+        arpOrderSelect.disabled = Sequencer.mode !== 'arpeggiator';
+        renderSequencerSteps();
+        MasterEffects.updateTempo(); // A synced delay follows the tempo
+    }
+
+    [sequencerTempoInput, sequencerSwingInput, sequencerLoopLengthInput, sequencerModeSelect, arpOrderSelect].forEach(input => {
+        input.addEventListener('change', applySequencerSettings);
+    });
+    sequencerPlayButton.addEventListener('click', () => {
+        if (Sequencer.isPlaying) {
+            stopSequencer();
+        } else {
+            startSequencer();
+        }
+    });
+    // Step input: hold (or latch) cells, then store them in the selected step and move to the next one
+    sequencerSetStepButton.addEventListener('click', () => {
+        const cells = getHeldNotes().map(note => note.cellIndex).filter(cellIndex => cellIndex !== null);
+        Sequencer.steps[selectedStep].cells = Array.from(new Set(cells));
+        selectedStep = (selectedStep + 1) % Sequencer.loopLength;
+        renderSequencerSteps();
+    });
+    sequencerClearStepButton.addEventListener('click', () => {
+        Sequencer.steps[selectedStep].cells = [];
+        renderSequencerSteps();
+    });
+    applySequencerSettings();
+
+    // --- Tuning Settings ---
+    const fundamentalInput = document.getElementById('fundamental');
+    const gridWidthInput = document.getElementById('grid-width');
+    const gridHeightInput = document.getElementById('grid-height');
+    const referenceCellInput = document.getElementById('reference-cell');
+    const layoutSelect = document.getElementById('layout');
+    const octaveReductionCheckbox = document.getElementById('octave-reduction');
+    const tuningStatus = document.getElementById('tuning-status');
+
+    // Releases every sounding note and clears all held-cell state.
+    // Used when the cell -> frequency mapping changes underneath held notes.
+    function stopAllNotes() {
+        releaseAllTones();
+        activePointers.forEach((pointer, pointerId) => {
+            activePointers.set(pointerId, { x: -1, y: -1, frequency: null, displayValue: null, source: pointer.source, notes: [] });
+        });
+        pressedKeys.clear();
+        pressedGamepadButtons.clear();
+        activeMidiNotes.clear();
+        sustainedNotes.clear();
+        latchedCells.clear();
+        renderLatchedDrones();
+        Midi.allNotesOff();
+        Recorder.recordAllNotesOff();
+    }
+
+    // Returns false (and shows why) if the inputs are invalid
+    function applyTuningSettings() {
+        const baseFrequency = Tuning.parseFrequency(fundamentalInput.value);
+        if (baseFrequency === null) {
+            tuningStatus.textContent = 'Enter the fundamental in Hz (e.g. 415) or as a note name (e.g. A4, Bb3).';
+            return false;
+        }
+        const previousGridSize = [Tuning.gridWidth, Tuning.gridHeight].join();
+        const error = Tuning.configure({
+            baseFrequency,
+            gridWidth: parseInt(gridWidthInput.value, 10),
+            gridHeight: parseInt(gridHeightInput.value, 10),
+            referenceCellIndex: parseInt(referenceCellInput.value, 10),
+            layout: layoutSelect.value,
+            octaveReduction: octaveReductionCheckbox.checked
+        });
+        if (error) {
+            tuningStatus.textContent = error;
+            return false;
+        }
+
+        stopAllNotes();
+        keyMapEditCell = null; // The selected cell may be gone
+        gamepadEditCell = null;
+        renderSequencerSteps(); // Step labels follow the new mapping
+        referenceCellInput.max = Tuning.cellCount - 1;
+        octaveReductionCheckbox.disabled = Tuning.layout !== 'lattice';
+        if ([Tuning.gridWidth, Tuning.gridHeight].join() !== previousGridSize) {
+            Viewport.reset(); // The zoomed-in part of the old grid means nothing on the new one
+            updateZoomControls();
+        }
+        updateCellColorLegend(); // The octaves on the grid may have changed
+        buildGridMirror();
+        if (Tuning.layout === 'lattice') {
+            tuningStatus.textContent = `1/1 = ${Tuning.baseFrequency.toFixed(2)} Hz, → steps by 3/2, ↑ steps by 5/4`;
+        } else if (Tuning.layout === 'scale') {
+            const { scl, kbm } = Tuning.scale;
+            tuningStatus.textContent = `${scl.description || 'Scala scale'} (${scl.pitches.length} notes): ` +
+                `key ${kbm.referenceNote} = ${Tuning.baseFrequency.toFixed(2)} Hz, range ${Tuning.getLabel(0)} … ${Tuning.getLabel(Tuning.cellCount - 1)}`;
+        } else {
+            const highest = Tuning.getLabel(Tuning.cellCount - 1);
+            const lowest = Tuning.getLabel(0);
+            tuningStatus.textContent = `1x = ${Tuning.baseFrequency.toFixed(2)} Hz, range ${lowest} … ${highest}`;
+        }
+        resizeCanvas(); // Keeps cells square: the canvas height follows the grid's aspect ratio
+        return true;
+    }
+
+    [fundamentalInput, gridWidthInput, gridHeightInput, referenceCellInput, layoutSelect, octaveReductionCheckbox].forEach(input => {
+        input.addEventListener('change', applyTuningSettings);
+    });
+    applyTuningSettings();
+
+    // --- Scala Import & Export ---
+    // An imported scale becomes the 'scale' layout: its .kbm gives the fundamental (the reference frequency)
+    // and the 1x cell (the reference note); see scala.js.
+    const scalaImportInput = document.getElementById('scala-import');
+    const scalaExportButton = document.getElementById('scala-export-button');
+    const scaleLayoutOption = layoutSelect.querySelector('option[value="scale"]');
+
+    function updateScaleLayoutOption() {
+        scaleLayoutOption.disabled = !Tuning.scale;
+        scaleLayoutOption.textContent = Tuning.scale ? `Scala: ${Tuning.scale.scl.description || 'untitled scale'}` : 'Scala scale (import one)';
+    }
+
+    // Switches to the scale. Cells start at the .kbm's first note, unless that would push the reference note
+    // above the middle of the grid. Throws an Error if the tuning does not accept it.
+    function applyScale(scale) {
+        const previousScale = Tuning.scale;
+        Tuning.scale = scale;
+        const { firstNote, referenceNote, referenceFrequency } = scale.kbm;
+        fundamentalInput.value = String(Math.round(referenceFrequency * 1e6) / 1e6);
+        referenceCellInput.value = Math.max(0, Math.min(referenceNote - firstNote, Math.floor(Tuning.cellCount / 2)));
+        updateScaleLayoutOption();
+        layoutSelect.value = 'scale';
+        if (!applyTuningSettings()) {
+            Tuning.scale = previousScale;
+            updateScaleLayoutOption();
+            throw new Error(tuningStatus.textContent);
+        }
+    }
+
+    // Reads one file, naming it in any parse error
+    function readScalaFile(file, parse) {
+        return file.text().then(text => {
+            try {
+                return parse(text);
+            } catch (e) {
+                throw new Error(`${file.name}, ${e.message}`);
+            }
+        });
+    }
+
+    // Accepts a .scl with an optional .kbm, or a .kbm alone to remap the current scale
+    scalaImportInput.addEventListener('change', () => {
+        const files = Array.from(scalaImportInput.files);
+        scalaImportInput.value = ''; // Allow importing the same files again
+        if (files.length === 0) return;
+        const sclFiles = files.filter(file => /\.scl$/i.test(file.name));
+        const kbmFiles = files.filter(file => /\.kbm$/i.test(file.name));
+        if (sclFiles.length > 1 || kbmFiles.length > 1 || sclFiles.length + kbmFiles.length !== files.length) {
+            tuningStatus.textContent = 'Choose one .scl file, optionally with one .kbm file.';
+            return;
+        }
+        if (sclFiles.length === 0 && !Tuning.scale) {
+            tuningStatus.textContent = 'Import a .scl file first, or together with the .kbm.';
+            return;
+        }
+        Promise.all([
+            sclFiles.length > 0 ? readScalaFile(sclFiles[0], text => Scala.parseScl(text)) : Tuning.scale.scl,
+            kbmFiles.length > 0 ? readScalaFile(kbmFiles[0], text => Scala.parseKbm(text)) : null
+        ]).then(([scl, kbm]) => {
+            applyScale(Scala.createScale(scl, kbm || Scala.getDefaultKbm(scl, Tuning.baseFrequency)));
+        }).catch(e => {
+            tuningStatus.textContent = `Could not import: ${e.message}`;
+        });
+    });
+
+    // Exports every sounding cell; a grid with repeated pitches (e.g. octave-reduced lattices) exports each once
+    scalaExportButton.addEventListener('click', () => {
+        const pitches = [];
+        for (let linearIndex = 0; linearIndex < Tuning.cellCount; linearIndex++) {
+            const harmonic = Tuning.getHarmonic(linearIndex);
+            if (harmonic > 0) pitches.push({ ratio: Tuning.getRatio(linearIndex), cents: 1200 * Math.log2(harmonic) });
+        }
+        try {
+            const description = `Harmonic Keyboard grid (${layoutSelect.selectedOptions[0].textContent}, ${Tuning.gridWidth}×${Tuning.gridHeight})`;
+            const { scl, kbm, truncated } = Scala.exportGrid(pitches, Tuning.baseFrequency, description);
+            downloadFile('harmkey-grid.scl', new Blob([scl], { type: 'text/plain' }));
+            downloadFile('harmkey-grid.kbm', new Blob([kbm], { type: 'text/plain' }));
+            if (truncated) tuningStatus.textContent = 'The grid has more than 128 pitches; the .kbm maps the lowest 128 keys only.';
+        } catch (e) {
+            tuningStatus.textContent = e.message;
+        }
+    });
+    updateScaleLayoutOption();
+
+    // --- MIDI Input & Output ---
+    const midiInputSelect = document.getElementById('midi-input');
+    const midiOutputSelect = document.getElementById('midi-output');
+    const midiBaseNoteInput = document.getElementById('midi-base-note');
+    const midiShiftInput = document.getElementById('midi-shift');
+    const midiBendRangeInput = document.getElementById('midi-bend-range');
+    const midiLearnButton = document.getElementById('midi-learn');
+    const midiStatus = document.getElementById('midi-status');
+    Midi.onNoteOn = (note, velocity) => {
+        const cellIndex = Midi.getCellIndexForNote(note);
+        if (cellIndex === null) return; // Outside the grid
+        const frequency = Tuning.getFrequency(cellIndex);
+        if (frequency <= 0 || frequency > audioContext.sampleRate / 2) return;
+
+        resumeAudioContext();
+        if (latchModeCheckbox.checked) {
+            toggleLatch(cellIndex, 'midi', velocity);
+            return;
+        }
+        const previous = activeMidiNotes.get(note);
+        if (previous) endCellNotes(previous.notes); // Repeated note-on without a note-off
+        const notes = startCellNotes(`midi:${note}`, cellIndex, 'midi', velocity);
+        activeMidiNotes.set(note, { cellIndex, frequency, notes });
+        drawGrid();
+    };
+
+    Midi.onNoteOff = (note) => {
+        const midiNote = activeMidiNotes.get(note);
+        if (!midiNote) return;
+        endCellNotes(midiNote.notes);
+        activeMidiNotes.delete(note);
+        drawGrid();
+    };
+
+    Midi.onSustain = setSustain;
+
+    Midi.onLearn = (note) => {
+        midiBaseNoteInput.value = note;
+        midiLearnButton.classList.remove('active');
+        midiStatus.textContent = `Note ${note} now plays the 1x cell.`;
+    };
+
+    function fillMidiDeviceSelect(select, devices) {
+        const selectedId = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option('None', ''));
+        devices.forEach(device => select.appendChild(new Option(device.name || device.id, device.id)));
+        select.value = devices.some(device => device.id === selectedId) ? selectedId : '';
+    }
+
+    Midi.onDevicesChanged = () => {
+        fillMidiDeviceSelect(midiInputSelect, Midi.getInputs());
+        fillMidiDeviceSelect(midiOutputSelect, Midi.getOutputs());
+    };
+
+    midiInputSelect.addEventListener('change', () => {
+        Midi.selectInput(midiInputSelect.value);
+    });
+    midiOutputSelect.addEventListener('change', () => {
+        Midi.selectOutput(midiOutputSelect.value);
+    });
+    midiBaseNoteInput.addEventListener('change', () => {
+        const note = parseInt(midiBaseNoteInput.value, 10);
+        if (note >= 0 && note <= 127) Midi.baseNote = note;
+        midiBaseNoteInput.value = Midi.baseNote;
+    });
+    midiShiftInput.addEventListener('change', () => {
+        const shift = parseInt(midiShiftInput.value, 10);
+        if (Number.isInteger(shift)) Midi.shiftOffset = shift;
+        midiShiftInput.value = Midi.shiftOffset;
+    });
+    midiBendRangeInput.addEventListener('change', () => {
+        const range = parseInt(midiBendRangeInput.value, 10);
+        if (range >= 1 && range <= 96) {
+            Midi.allNotesOff();
+            Midi.pitchBendRange = range;
+            Midi.configureOutput();
+        }
+        midiBendRangeInput.value = Midi.pitchBendRange;
+    });
+    midiLearnButton.addEventListener('click', () => {
+        Midi.learnMode = !Midi.learnMode;
+        midiLearnButton.classList.toggle('active', Midi.learnMode);
+        midiStatus.textContent = Midi.learnMode ? 'Play the note that should trigger the 1x cell…' : '';
+    });
+
+    Midi.init(navigator).then(available => {
+        if (!available) {
+            document.querySelectorAll('#midi-controls select, #midi-controls input, #midi-controls button').forEach(element => {
+                element.disabled = true;
+            });
+            midiStatus.textContent = 'Web MIDI is not available in this browser.';
+            return;
+        }
+        Midi.onDevicesChanged();
+    });
+
+    // --- Game Controller Input ---
+    // GamepadInput (gamepad.js) polls the controllers and keeps one button profile per controller model.
+    // Buttons play cells like PC keys, the shift buttons (D-pad) shift together with ↑↓,
+    // the stick bends the voices the controller holds and the triggers set their loudness.
+    const gamepadSelect = document.getElementById('gamepad-select');
+    const gamepadShiftUpSelect = document.getElementById('gamepad-shift-up');
+    const gamepadShiftDownSelect = document.getElementById('gamepad-shift-down');
+    const gamepadBendAxisSelect = document.getElementById('gamepad-bend-axis');
+    const gamepadBendRangeInput = document.getElementById('gamepad-bend-range');
+    const gamepadTriggerLoudnessCheckbox = document.getElementById('gamepad-trigger-loudness');
+    const gamepadEditCheckbox = document.getElementById('gamepad-edit');
+    const gamepadResetButton = document.getElementById('gamepad-reset-button');
+    const gamepadStatus = document.getElementById('gamepad-status');
+    const gamepadBendTime = 0.02; // Seconds; smooths the stick, which is only read once per frame
+
+    // Bends the notes one button started away from their note-on pitch and sets their loudness
+    function applyGamepadExpression(notes, bend, loudness, glideTime) {
+        notes.forEach(note => {
+            if (note.voiceId === null) return; // Only feeding the arpeggiator
+            const frequency = note.frequency * Math.pow(2, bend / 1200);
+            VoiceManager.glide(note.voiceId, frequency, glideTime);
+            Midi.sendPitchBend(note.voiceKey, frequency);
+            VoiceManager.setVolume(note.voiceId, loudness);
+            Midi.sendPressure(note.voiceKey, loudness);
+        });
+    }
+
+    GamepadInput.onButtonDown = (gamepadIndex, buttonIndex) => {
+        const state = GamepadInput.getState(gamepadIndex);
+        const profile = GamepadInput.getProfile(state.id);
+        if (buttonIndex === profile.shiftUp || buttonIndex === profile.shiftDown) {
+            if (KeyMap.shiftBy(buttonIndex === profile.shiftUp ? 1 : -1)) {
+                updatePcKeyShiftIndicator();
+                announceShift();
+            }
+            return;
+        }
+        if (gamepadEditCell !== null) {
+            bindGamepadButton(state.id, buttonIndex);
+            return;
+        }
+        const cellIndex = GamepadInput.getCell(state.id, buttonIndex);
+        if (cellIndex === null) return;
+        const frequency = Tuning.getFrequency(cellIndex);
+        if (frequency <= 0 || frequency > audioContext.sampleRate / 2) return;
+
+        resumeAudioContext();
+        if (latchModeCheckbox.checked) {
+            toggleLatch(cellIndex, 'gamepad');
+            return;
+        }
+        const voiceKey = `gamepad:${gamepadIndex}:${buttonIndex}`;
+        const notes = startCellNotes(voiceKey, cellIndex, 'gamepad', 1, state.loudness);
+        if (state.bend !== 0) applyGamepadExpression(notes, state.bend, state.loudness, 0);
+        pressedGamepadButtons.set(`${gamepadIndex}:${buttonIndex}`, { gamepadIndex, cellIndex, frequency, notes });
+        drawGrid();
+    };
+
+    GamepadInput.onButtonUp = (gamepadIndex, buttonIndex) => {
+        const key = `${gamepadIndex}:${buttonIndex}`;
+        const pressedButton = pressedGamepadButtons.get(key);
+        if (!pressedButton) return;
+        // Stop the voices the button started, whatever the shift or the profile is now
+        endCellNotes(pressedButton.notes);
+        pressedGamepadButtons.delete(key);
+        drawGrid();
+    };
+
+    GamepadInput.onExpression = (gamepadIndex, bend, loudness) => {
+        pressedGamepadButtons.forEach(pressedButton => {
+            if (pressedButton.gamepadIndex === gamepadIndex) applyGamepadExpression(pressedButton.notes, bend, loudness, gamepadBendTime);
+        });
+    };
+
+    // Controller-mapping editor: a click selects a cell (see pointerDown), the next controller button pressed is bound to it
+    function selectGamepadEditCell(cellIndex) {
+        gamepadEditCell = cellIndex;
+        gamepadStatus.textContent = `Press the controller button that should play ${Tuning.getLabel(cellIndex)} (Backspace removes its buttons, Esc cancels).`;
+        drawGrid();
+    }
+
+    function bindGamepadButton(id, buttonIndex) {
+        const cellLabel = Tuning.getLabel(gamepadEditCell);
+        try {
+            GamepadInput.bind(id, buttonIndex, gamepadEditCell);
+        } catch (e) {
+            gamepadStatus.textContent = e.message;
+            return;
+        }
+        gamepadStatus.textContent = `${GamepadInput.getButtonName(buttonIndex)} now plays ${cellLabel} on this controller model.`;
+        gamepadSelect.value = id; // Show the profile that changed
+        showGamepadProfile();
+        gamepadEditCell = null;
+        drawGrid();
+    }
+
+    // Backspace removes the selected controller's buttons from the cell, Esc cancels
+    function handleGamepadEditKey(code) {
+        const cellLabel = Tuning.getLabel(gamepadEditCell);
+        if (code === 'Escape') {
+            gamepadStatus.textContent = '';
+        } else if (!gamepadSelect.value) {
+            gamepadStatus.textContent = 'Connect a controller first.';
+        } else {
+            const buttons = GamepadInput.unbindCell(gamepadSelect.value, gamepadEditCell);
+            gamepadStatus.textContent = buttons.length
+                ? `Removed ${buttons.map(buttonIndex => GamepadInput.getButtonName(buttonIndex)).join(', ')} from ${cellLabel}.`
+                : `No button plays ${cellLabel}.`;
+        }
+        gamepadEditCell = null;
+        drawGrid();
+    }
+
+    function fillGamepadIndexSelect(select, count, getName, selectedIndex) {
+        select.innerHTML = '';
+        select.appendChild(new Option('None', ''));
+        for (let i = 0; i < Math.max(count, selectedIndex === null ? 0 : selectedIndex + 1); i++) {
+            select.appendChild(new Option(getName(i), String(i)));
+        }
+        select.value = selectedIndex === null ? '' : String(selectedIndex);
+    }
+
+    // Shows the profile of the selected controller model
+    function showGamepadProfile() {
+        const id = gamepadSelect.value;
+        const gamepad = GamepadInput.getGamepads().find(pad => pad.id === id);
+        const profile = GamepadInput.getProfile(id);
+        fillGamepadIndexSelect(gamepadShiftUpSelect, gamepad ? gamepad.buttons.length : 0, i => GamepadInput.getButtonName(i), profile.shiftUp);
+        fillGamepadIndexSelect(gamepadShiftDownSelect, gamepad ? gamepad.buttons.length : 0, i => GamepadInput.getButtonName(i), profile.shiftDown);
+        fillGamepadIndexSelect(gamepadBendAxisSelect, gamepad ? gamepad.axes.length : 0, i => GamepadInput.getAxisName(i), profile.bendAxis);
+        gamepadBendRangeInput.value = profile.bendRange;
+        gamepadTriggerLoudnessCheckbox.checked = profile.triggerLoudness;
+        document.querySelectorAll('#gamepad-settings select, #gamepad-settings input, #gamepad-settings button').forEach(element => {
+            element.disabled = !id;
+        });
+    }
+
+    // One entry per controller model; identical controllers share a profile
+    GamepadInput.onDevicesChanged = () => {
+        const selectedId = gamepadSelect.value;
+        const ids = Array.from(new Set(GamepadInput.getGamepads().map(gamepad => gamepad.id)));
+        gamepadSelect.innerHTML = '';
+        if (ids.length === 0) {
+            gamepadSelect.appendChild(new Option('None (press a button on the controller)', ''));
+        }
+        ids.forEach(id => gamepadSelect.appendChild(new Option(id, id)));
+        gamepadSelect.value = ids.includes(selectedId) ? selectedId : (ids[0] || '');
+        showGamepadProfile();
+        drawGrid(); // Unplugging releases the controller's buttons
+    };
+
+    gamepadSelect.addEventListener('change', showGamepadProfile);
+    [gamepadShiftUpSelect, gamepadShiftDownSelect, gamepadBendAxisSelect, gamepadBendRangeInput, gamepadTriggerLoudnessCheckbox].forEach(control => {
+        control.addEventListener('change', () => {
+            const parseIndex = select => (select.value === '' ? null : parseInt(select.value, 10));
+            GamepadInput.configure(gamepadSelect.value, {
+                shiftUp: parseIndex(gamepadShiftUpSelect),
+                shiftDown: parseIndex(gamepadShiftDownSelect),
+                bendAxis: parseIndex(gamepadBendAxisSelect),
+                bendRange: parseFloat(gamepadBendRangeInput.value),
+                triggerLoudness: gamepadTriggerLoudnessCheckbox.checked
+            });
+            showGamepadProfile(); // Shows the clamped values
+        });
+    });
+    gamepadEditCheckbox.addEventListener('change', () => {
+        gamepadEditCell = null;
+        if (gamepadEditCheckbox.checked && keyMapEditCheckbox.checked) { // One editor at a time owns canvas clicks
+            keyMapEditCheckbox.checked = false;
+            keyMapEditCell = null;
+            keyMapStatus.textContent = '';
+        }
+        gamepadStatus.textContent = gamepadEditCheckbox.checked ? 'Click a cell, then press the controller button that should play it.' : '';
+        drawGrid();
+    });
+    gamepadResetButton.addEventListener('click', () => {
+        GamepadInput.resetProfile(gamepadSelect.value);
+        showGamepadProfile();
+        gamepadStatus.textContent = 'Restored the defaults for this controller model.';
+    });
+
+    if (!GamepadInput.init()) {
+        document.querySelectorAll('#gamepad-settings select, #gamepad-settings input, #gamepad-settings button').forEach(element => {
+            element.disabled = true;
+        });
+        gamepadStatus.textContent = 'The Gamepad API is not available in this browser.';
+    }
+
+    // --- Ear Training ---
+    // Quiz (quiz.js) picks the questions and keeps the score. A question plays the 1x reference, then its targets;
+    // clicking cells on the canvas answers it (see pointerDown). Prompts play on the selected sound source
+    // but not through the note routing, so they are not recorded or sent to MIDI.
+    const quizTypeSelect = document.getElementById('quiz-type');
+    const quizLevelSelect = document.getElementById('quiz-level');
+    const quizNextButton = document.getElementById('quiz-next-button');
+    const quizReplayButton = document.getElementById('quiz-replay-button');
+    const quizRevealButton = document.getElementById('quiz-reveal-button');
+    const quizResetButton = document.getElementById('quiz-reset-button');
+    const quizExportButton = document.getElementById('quiz-export-button');
+    const quizScore = document.getElementById('quiz-score');
+    const quizAccuracyTable = document.getElementById('quiz-accuracy');
+    const quizStatus = document.getElementById('quiz-status');
+    const quizNoteLength = 0.9; // Seconds each prompt note sounds (a chord half as long again)
+    const quizNoteGap = 0.15;
+    let quizVoiceIds = []; // Voices of the prompt playing or scheduled now
+
+    Object.entries(Quiz.types).forEach(([type, name]) => quizTypeSelect.appendChild(new Option(name, type)));
+    Quiz.levels.forEach(level => quizLevelSelect.appendChild(new Option(level.name, level.id)));
+    quizTypeSelect.value = Quiz.type;
+    quizLevelSelect.value = Quiz.level;
+
+    function playQuizQuestion() {
+        const question = Quiz.question;
+        if (!question) return;
+        resumeAudioContext();
+        stopQuizPrompt(); // A replay or the next question must not overlap the previous prompt
+        const playPrompt = (voiceKey, ratio, start, length) => {
+            const voiceId = playTone(voiceKey, Tuning.baseFrequency * ratio.numerator / ratio.denominator, soundSourceSelect.value, 1, 1, start);
+            stopTone(voiceId, start + length);
+            quizVoiceIds.push(voiceId);
+        };
+        let time = audioContext.currentTime + 0.05;
+        playPrompt('quiz:reference', { numerator: 1, denominator: 1 }, time, quizNoteLength);
+        time += quizNoteLength + quizNoteGap;
+        question.targets.forEach((ratio, i) => {
+            playPrompt(`quiz:${i}`, ratio, time, question.type === 'chord' ? quizNoteLength * 1.5 : quizNoteLength);
+            if (question.type === 'interval') time += quizNoteLength + quizNoteGap;
+        });
+    }
+
+    // Cuts off the prompt's notes, including those scheduled but not yet sounding
+    function stopQuizPrompt() {
+        quizVoiceIds.forEach(voiceId => stopTone(voiceId));
+        quizVoiceIds = [];
+    }
+
+    function formatQuizRatios(ratios) {
+        return ratios.map(ratio => Tuning.getRatioLabel(ratio)).join(' + ');
+    }
+
+    function answerQuiz(cellIndex) {
+        const ratio = Tuning.getRatio(cellIndex);
+        const result = Quiz.answer(ratio);
+        if (result === 'found') {
+            quizStatus.textContent = `${Tuning.getRatioLabel(ratio)} is right. Now find the other note.`;
+        } else if (result === 'correct') {
+            quizStatus.textContent = `Correct: ${formatQuizRatios(Quiz.question.targets)}.`;
+        } else if (result === 'wrong') {
+            quizStatus.textContent = `Not quite: that was ${formatQuizRatios(Quiz.question.targets)}` +
+                `${ratio ? ` (you clicked ${Tuning.getRatioLabel(ratio)})` : ''}.`;
+        }
+        updateQuizControls();
+        drawGrid();
+    }
+
+    function updateQuizControls() {
+        const isOpen = Quiz.isAwaitingAnswer();
+        quizReplayButton.disabled = !Quiz.question;
+        quizRevealButton.disabled = !isOpen;
+        quizExportButton.disabled = Quiz.asked === 0;
+        const percent = Quiz.asked > 0 ? ` (${Math.round(100 * Quiz.correct / Quiz.asked)}%)` : '';
+        quizScore.textContent = `Score: ${Quiz.correct}/${Quiz.asked}${percent} · Streak: ${Quiz.streak} · Best streak: ${Quiz.bestStreak}`;
+
+        // Per-harmonic accuracy, one row per harmonic or subharmonic asked so far
+        quizAccuracyTable.innerHTML = '';
+        const accuracy = Quiz.getAccuracy();
+        if (accuracy.length === 0) return;
+        const headerRow = quizAccuracyTable.insertRow();
+        ['Harmonic', 'Correct', 'Accuracy'].forEach(text => {
+            const header = document.createElement('th');
+            header.textContent = text;
+            headerRow.appendChild(header);
+        });
+        accuracy.forEach(stat => {
+            const row = quizAccuracyTable.insertRow();
+            [Tuning.getRatioLabel(stat.ratio), `${stat.correct}/${stat.asked}`, `${Math.round(100 * stat.correct / stat.asked)}%`].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+    }
+
+    quizTypeSelect.addEventListener('change', () => {
+        Quiz.type = quizTypeSelect.value;
+    });
+    quizLevelSelect.addEventListener('change', () => {
+        Quiz.level = quizLevelSelect.value;
+    });
+    quizNextButton.addEventListener('click', () => {
+        try {
+            Quiz.next();
+        } catch (e) {
+            quizStatus.textContent = e.message;
+            return;
+        }
+        quizStatus.textContent = Quiz.question.type === 'harmonic'
+            ? 'After the 1x reference: which cell was that? Click it.'
+            : 'After the 1x reference: which two cells were those? Click both.';
+        playQuizQuestion();
+        updateQuizControls();
+        drawGrid();
+    });
+    quizReplayButton.addEventListener('click', playQuizQuestion);
+    quizRevealButton.addEventListener('click', () => {
+        Quiz.reveal();
+        quizStatus.textContent = `The answer was ${formatQuizRatios(Quiz.question.targets)}.`;
+        updateQuizControls();
+        drawGrid();
+    });
+    quizResetButton.addEventListener('click', () => {
+        stopQuizPrompt();
+        Quiz.reset();
+        quizStatus.textContent = '';
+        updateQuizControls();
+        drawGrid();
+    });
+    quizExportButton.addEventListener('click', () => {
+        const tuning = { layout: Tuning.layout, baseFrequency: Tuning.baseFrequency, gridWidth: Tuning.gridWidth, gridHeight: Tuning.gridHeight };
+        downloadFile('harmkey-quiz-results.json', new Blob([Quiz.toJSON(tuning)], { type: 'application/json' }));
+    });
+    updateQuizControls();
+
+    // --- Recorder ---
+    const recordButton = document.getElementById('record-button');
+    const stopButton = document.getElementById('stop-button');
+    const playButton = document.getElementById('play-button');
+    const exportJsonButton = document.getElementById('export-json-button');
+    const exportMidiButton = document.getElementById('export-midi-button');
+    const importTakeInput = document.getElementById('import-take');
+    const recorderStatus = document.getElementById('recorder-status');
+
+    function updateRecorderControls(message) {
+        const hasTake = Recorder.events.length > 0;
+        recordButton.classList.toggle('active', Recorder.state === 'recording');
+        playButton.classList.toggle('active', Recorder.state === 'playing');
+        stopButton.disabled = Recorder.state === 'idle';
+        playButton.disabled = !hasTake || Recorder.state === 'recording';
+        exportJsonButton.disabled = !hasTake || Recorder.state === 'recording';
+        exportMidiButton.disabled = !hasTake || Recorder.state === 'recording';
+        if (message !== undefined) {
+            recorderStatus.textContent = message;
+        } else if (Recorder.state === 'recording') {
+            recorderStatus.textContent = 'Recording…';
+        } else {
+            const noteCount = Recorder.events.filter(event => event.type === 'noteon').length;
+            recorderStatus.textContent = hasTake ? `Take: ${noteCount} notes, ${Recorder.duration.toFixed(1)} s` : 'No take recorded';
+        }
+    }
+
+    // Replays a take through playTone/stopTone with the sound source selected now, not the one used while recording
+    const playbackVoiceIds = new Map(); // Voice of the take -> voice ID sounding it
+    const playbackCallbacks = {
+        noteOn(event) {
+            playbackVoiceIds.set(event.voice, playTone(`playback:${event.voice}`, event.frequency, soundSourceSelect.value, event.velocity || 1));
+            Midi.sendNoteOn(`playback:${event.voice}`, event.frequency, event.velocity || 1);
+            // Light the cell only if it still plays the recorded frequency under the current tuning
+            if (Tuning.isValidIndex(event.cell) && Math.abs(Tuning.getFrequency(event.cell) - event.frequency) < 1e-6) {
+                playbackCells.set(event.voice, event.cell);
+            }
+            drawGrid();
+        },
+        noteOff(event) {
+            stopTone(playbackVoiceIds.get(event.voice));
+            playbackVoiceIds.delete(event.voice);
+            Midi.sendNoteOff(`playback:${event.voice}`);
+            playbackCells.delete(event.voice);
+            drawGrid();
+        },
+        glide(event) {
+            VoiceManager.glide(playbackVoiceIds.get(event.voice), event.frequency, event.glideTime);
+            Midi.sendPitchBend(`playback:${event.voice}`, event.frequency);
+            if (Tuning.isValidIndex(event.cell) && Math.abs(Tuning.getFrequency(event.cell) - event.frequency) < 1e-6) {
+                playbackCells.set(event.voice, event.cell);
+            } else {
+                playbackCells.delete(event.voice);
+            }
+            drawGrid();
+        },
+        finished() {
+            updateRecorderControls();
+        }
+    };
+
+    function downloadFile(fileName, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    recordButton.addEventListener('click', () => {
+        Recorder.startRecording(Tuning.baseFrequency);
+        updateRecorderControls();
+    });
+    stopButton.addEventListener('click', () => {
+        Recorder.stop();
+        updateRecorderControls();
+    });
+    playButton.addEventListener('click', () => {
+        resumeAudioContext();
+        Recorder.play(playbackCallbacks);
+        updateRecorderControls();
+    });
+    exportJsonButton.addEventListener('click', () => {
+        downloadFile('harmkey-take.json', new Blob([Recorder.toJSON()], { type: 'application/json' }));
+    });
+    exportMidiButton.addEventListener('click', () => {
+        downloadFile('harmkey-take.mid', new Blob([Recorder.toMidiFile()], { type: 'audio/midi' }));
+    });
+    importTakeInput.addEventListener('change', () => {
+        const file = importTakeInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            Recorder.loadJSON(text);
+            updateRecorderControls();
+        }).catch(e => {
+            updateRecorderControls(`Could not import ${file.name}: ${e.message}`);
+        }).finally(() => {
+            importTakeInput.value = ''; // Allow importing the same file again
+        });
+    });
+    updateRecorderControls();
+
+    // --- Polyphony Limit & Panic ---
+    const maxVoicesInput = document.getElementById('max-voices');
+    const voiceStealingSelect = document.getElementById('voice-stealing');
+    const panicButton = document.getElementById('panic-button');
+
+    maxVoicesInput.addEventListener('change', () => {
+        const maxVoices = parseInt(maxVoicesInput.value, 10);
+        if (maxVoices >= 1 && maxVoices <= 64) VoiceManager.setMaxVoices(maxVoices);
+        maxVoicesInput.value = VoiceManager.maxVoices;
+    });
+    voiceStealingSelect.addEventListener('change', () => {
+        VoiceManager.stealingMode = voiceStealingSelect.value;
+    });
+    maxVoicesInput.value = VoiceManager.maxVoices;
+    voiceStealingSelect.value = VoiceManager.stealingMode;
+
+    // Stops take playback, the sequencer, the quiz prompt and every note from every input, and silences the MIDI output on all channels
+    function panic() {
+        if (Recorder.state === 'playing') {
+            Recorder.stop();
+        }
+        if (Sequencer.isPlaying) {
+            stopSequencer();
+        }
+        stopQuizPrompt();
+        stopAllNotes();
+        Midi.panic();
+        drawGrid();
+    }
+
+    panicButton.addEventListener('click', panic);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') panic();
+    });
+
+    // --- Analyzer ---
+    const analyzerSettings = document.getElementById('analyzer-settings');
+    const analyzerViewSelect = document.getElementById('analyzer-view');
+    const scopeWindowSelect = document.getElementById('scope-window');
+
+    Analyzer.init(analyserNode, document.getElementById('analyzer-canvas'));
+
+    // Draws only while the panel is open
+    function updateAnalyzer() {
+        Analyzer.view = analyzerViewSelect.value;
+        Analyzer.scopeWindow = parseFloat(scopeWindowSelect.value);
+        scopeWindowSelect.disabled = Analyzer.view !== 'scope';
+        if (analyzerSettings.open) {
+            Analyzer.start();
+        } else {
+            Analyzer.stop();
+        }
+    }
+
+    [analyzerViewSelect, scopeWindowSelect].forEach(select => select.addEventListener('change', updateAnalyzer));
+    analyzerSettings.addEventListener('toggle', updateAnalyzer);
+    updateAnalyzer();
+
+    // --- Offline WAV Rendering ---
+    const renderMaterialSelect = document.getElementById('render-material');
+    const renderChordLengthInput = document.getElementById('render-chord-length');
+    const renderSampleRateSelect = document.getElementById('render-sample-rate');
+    const renderBitDepthSelect = document.getElementById('render-bit-depth');
+    const renderWavButton = document.getElementById('render-wav-button');
+    const renderStatus = document.getElementById('render-status');
+
+    renderMaterialSelect.addEventListener('change', () => {
+        renderChordLengthInput.disabled = renderMaterialSelect.value !== 'held';
+    });
+    renderChordLengthInput.disabled = renderMaterialSelect.value !== 'held';
+
+    renderWavButton.addEventListener('click', () => {
+        let events;
+        if (renderMaterialSelect.value === 'held') {
+            // Everything sounding right now, e.g. PC keys or MIDI notes held while clicking
+            const frequencies = VoiceManager.getFrequencies();
+            const length = parseFloat(renderChordLengthInput.value);
+            if (frequencies.length === 0 || !(length > 0)) {
+                renderStatus.textContent = 'Hold some notes (PC keys or MIDI) and a positive chord length, then click Render WAV.';
+                return;
+            }
+            events = OfflineRenderer.createChordEvents(frequencies, length);
+        } else {
+            events = Recorder.events;
+        }
+
+        const options = {
+            soundSource: soundSourceSelect.value,
+            sampleRate: parseInt(renderSampleRateSelect.value, 10),
+            bitDepth: parseInt(renderBitDepthSelect.value, 10)
+        };
+        renderWavButton.disabled = true;
+        renderStatus.textContent = 'Rendering…';
+        OfflineRenderer.renderToWav(events, options).then(blob => {
+            downloadFile(`harmkey-${renderMaterialSelect.value === 'held' ? 'chord' : 'take'}.wav`, blob);
+            renderStatus.textContent = `Rendered ${(blob.size / 1024).toFixed(0)} KB (${options.sampleRate} Hz, ${options.bitDepth}-bit).`;
+        }).catch(e => {
+            renderStatus.textContent = `Could not render: ${e.message}`;
+        }).finally(() => {
+            renderWavButton.disabled = false;
+        });
+    });
+
+    // --- Saved Settings & Shareable Links ---
+    // Every user-facing setting is saved in localStorage as it changes and can be shared as a link (see settings.js).
+    // A link's settings win over the saved ones; a malformed link falls back to the defaults.
+    const copyLinkButton = document.getElementById('copy-link-button');
+    const resetSettingsButton = document.getElementById('reset-settings-button');
+    const settingsLinkInput = document.getElementById('settings-link');
+    const settingsStatus = document.getElementById('settings-status');
+    let settingsSaveTimer = null;
+
+    function collectSettings() {
+        return {
+            version: Settings.version,
+            soundSource: soundSourceSelect.value,
+            sourceParams: Object.fromEntries(SoundSources.list()
+                .filter(source => source.params.length > 0)
+                .map(source => [source.id, Object.fromEntries(source.params.map(param => [param.id, param.value]))])),
+            additive: { preset: AdditiveVoice.presetName, amplitudes: AdditiveVoice.amplitudes.map(amplitude => Math.round(amplitude * 1000) / 1000) },
+            tuning: {
+                fundamental: fundamentalInput.value.trim(),
+                gridWidth: Tuning.gridWidth,
+                gridHeight: Tuning.gridHeight,
+                referenceCellIndex: Tuning.referenceCellIndex,
+                layout: Tuning.layout,
+                octaveReduction: Tuning.octaveReduction,
+                scale: Tuning.scale ? { scl: Tuning.scale.scl.text, kbm: Tuning.scale.kbm.text } : null // File texts; a null kbm is the default mapping
+            },
+            keyMap: { name: KeyMap.name, shift: KeyMap.shift, shiftStep: KeyMap.shiftStep, shiftRange: KeyMap.shiftRange, bindings: KeyMap.bindings },
+            voices: { maxVoices: VoiceManager.maxVoices, stealingMode: VoiceManager.stealingMode },
+            chord: { enabled: chordModeCheckbox.checked, set: chordSetSelect.value },
+            effects: MasterEffects.getSettings(),
+            glide: { enabled: glideModeCheckbox.checked, time: Math.round(glideTime * 1000), pitch: glidePitchSelect.value },
+            overlays: { note: overlayNoteCheckbox.checked, cents: overlayCentsCheckbox.checked, octave: overlayOctaveCheckbox.checked, colors: cellColorsSelect.value, theme: themeSelect.value },
+            midi: { baseNote: Midi.baseNote, shift: Midi.shiftOffset, bendRange: Midi.pitchBendRange },
+            sequencer: {
+                tempo: Sequencer.tempo,
+                swing: Sequencer.swing,
+                loopLength: Sequencer.loopLength,
+                mode: Sequencer.mode,
+                arpOrder: Sequencer.arpOrder,
+                steps: Sequencer.steps
+            },
+            analyzer: { view: analyzerViewSelect.value, scopeWindow: scopeWindowSelect.value },
+            quiz: { type: quizTypeSelect.value, level: quizLevelSelect.value }
+        };
+    }
+
+    // Sets an input or select without its change handler. Values a select does not offer are ignored.
+    function setControlValue(element, value) {
+        if (value === undefined) return false;
+        if (element.type === 'checkbox') {
+            element.checked = Boolean(value);
+        } else if (element.tagName === 'SELECT' && !Array.from(element.options).some(option => option.value === String(value))) {
+            return false;
+        } else {
+            element.value = value;
+        }
+        return true;
+    }
+
+    // Sets a control and runs its change handler, which validates the value like a user's input
+    function setControl(element, value) {
+        if (setControlValue(element, value)) element.dispatchEvent(new Event('change'));
+    }
+
+    // Applies settings from collectSettings, a saved session or a link. Missing sections keep their current values.
+    // Throws an Error with a readable message if a section is malformed.
+    function restoreSettings(settings) {
+        if (settings.soundSource !== undefined && !SoundSources.get(settings.soundSource)) {
+            throw new Error(`Unknown sound source "${settings.soundSource}".`);
+        }
+        Object.entries(settings.sourceParams || {}).forEach(([sourceId, values]) => {
+            Object.entries(values || {}).forEach(([paramId, value]) => SoundSources.setParam(sourceId, paramId, value));
+        });
+        if (settings.additive) {
+            const { preset, amplitudes } = settings.additive;
+            if (!Array.isArray(amplitudes) || amplitudes.length !== AdditiveVoice.partialCount || !amplitudes.every(Number.isFinite)) {
+                throw new Error('The additive partials are malformed.');
+            }
+            amplitudes.forEach((amplitude, i) => AdditiveVoice.setAmplitude(i, amplitude));
+            if (preset in AdditiveVoice.presets) AdditiveVoice.presetName = preset;
+        }
+        setControl(soundSourceSelect, settings.soundSource !== undefined ? settings.soundSource : soundSourceSelect.value); // Shows the restored sliders
+
+        if (settings.tuning) {
+            const tuning = settings.tuning;
+            if (tuning.scale) {
+                const scl = Scala.parseScl(tuning.scale.scl);
+                const kbm = tuning.scale.kbm ? Scala.parseKbm(tuning.scale.kbm) : Scala.getDefaultKbm(scl, Tuning.parseFrequency(tuning.fundamental) || Tuning.baseFrequency);
+                Tuning.scale = Scala.createScale(scl, kbm);
+                updateScaleLayoutOption();
+            }
+            setControlValue(fundamentalInput, tuning.fundamental);
+            setControlValue(gridWidthInput, tuning.gridWidth);
+            setControlValue(gridHeightInput, tuning.gridHeight);
+            setControlValue(referenceCellInput, tuning.referenceCellIndex);
+            setControlValue(layoutSelect, tuning.layout);
+            setControlValue(octaveReductionCheckbox, tuning.octaveReduction);
+            if (!applyTuningSettings()) {
+                throw new Error(`The tuning is invalid: ${tuningStatus.textContent}`);
+            }
+        }
+
+        if (settings.keyMap) {
+            const keyMap = KeyMap.parse(JSON.stringify(Object.assign({}, settings.keyMap, { format: 'harmkey-keymap' })));
+            KeyMap.apply(keyMap);
+            if (Number.isInteger(settings.keyMap.shift)) KeyMap.shiftBy(settings.keyMap.shift - KeyMap.shift);
+            fillKeyMapSelect(keyMap.name);
+            updatePcKeyShiftIndicator();
+        }
+
+        if (settings.voices) {
+            setControl(maxVoicesInput, settings.voices.maxVoices);
+            setControl(voiceStealingSelect, settings.voices.stealingMode);
+        }
+        if (settings.chord) {
+            setControl(chordModeCheckbox, settings.chord.enabled);
+            setControl(chordSetSelect, settings.chord.set);
+        }
+        if (settings.effects) {
+            MasterEffects.restoreSettings(settings.effects);
+            renderMasterEffects();
+        }
+        if (settings.glide) {
+            setControl(glideModeCheckbox, settings.glide.enabled);
+            setControl(glideTimeInput, settings.glide.time);
+            setControl(glidePitchSelect, settings.glide.pitch);
+        }
+        if (settings.overlays) {
+            setControl(overlayNoteCheckbox, settings.overlays.note);
+            setControl(overlayCentsCheckbox, settings.overlays.cents);
+            setControl(overlayOctaveCheckbox, settings.overlays.octave);
+            setControl(cellColorsSelect, settings.overlays.colors);
+            setControl(themeSelect, settings.overlays.theme);
+        }
+        if (settings.midi) {
+            setControl(midiBaseNoteInput, settings.midi.baseNote);
+            setControl(midiShiftInput, settings.midi.shift);
+            setControl(midiBendRangeInput, settings.midi.bendRange);
+        }
+        if (settings.sequencer) {
+            const sequencer = settings.sequencer;
+            if (sequencer.steps !== undefined) Sequencer.loadSteps(sequencer.steps);
+            setControlValue(sequencerTempoInput, sequencer.tempo);
+            setControlValue(sequencerSwingInput, Number.isFinite(sequencer.swing) ? Math.round(sequencer.swing * 100) : undefined);
+            setControlValue(sequencerLoopLengthInput, sequencer.loopLength);
+            setControlValue(sequencerModeSelect, sequencer.mode);
+            setControlValue(arpOrderSelect, sequencer.arpOrder);
+            applySequencerSettings();
+        }
+        if (settings.analyzer) {
+            setControl(analyzerViewSelect, settings.analyzer.view);
+            setControl(scopeWindowSelect, settings.analyzer.scopeWindow);
+        }
+        if (settings.quiz) {
+            setControl(quizTypeSelect, settings.quiz.type);
+            setControl(quizLevelSelect, settings.quiz.level);
+        }
+    }
+
+    function showSettingsStatus(message, isError = false) {
+        settingsStatus.textContent = message;
+        settingsStatus.classList.toggle('settings-status-error', isError);
+    }
+
+    const defaultSettings = JSON.parse(JSON.stringify(collectSettings())); // A copy taken before anything is restored
+
+    // Applies settings from a link or storage; anything malformed resets everything to the defaults
+    function loadSettings(settings, source) {
+        try {
+            restoreSettings(settings);
+            return true;
+        } catch (e) {
+            restoreSettings(defaultSettings);
+            showSettingsStatus(`Could not load the settings from ${source}: ${e.message} Using the default settings.`, true);
+            return false;
+        }
+    }
+
+    // Later changes are saved, not kept in a stale hash
+    function clearSettingsHash() {
+        try {
+            history.replaceState(null, '', location.href.split('#')[0]);
+        } catch (e) {
+            location.hash = ''; // file:// pages may not rewrite their URL
+        }
+    }
+
+    function loadSettingsFromHash() {
+        let settings;
+        try {
+            settings = Settings.readHash(location.hash);
+        } catch (e) {
+            restoreSettings(defaultSettings);
+            showSettingsStatus(`${e.message} Using the default settings.`, true);
+            clearSettingsHash();
+            return true;
+        }
+        if (settings === null) return false;
+        if (loadSettings(settings, 'the link')) {
+            showSettingsStatus('Loaded the settings from the link.');
+            Settings.store(collectSettings());
+        }
+        clearSettingsHash();
+        return true;
+    }
+
+    // Saved shortly after any change: controls, keys (shifts, key map edits) and pointer edits (partials)
+    function scheduleSettingsSave() {
+        clearTimeout(settingsSaveTimer);
+        settingsSaveTimer = setTimeout(saveSettingsNow, 500);
+    }
+
+    function saveSettingsNow() {
+        if (settingsSaveTimer === null) return;
+        clearTimeout(settingsSaveTimer);
+        settingsSaveTimer = null;
+        Settings.store(collectSettings());
+    }
+
+    copyLinkButton.addEventListener('click', () => {
+        const link = Settings.createLink(location.href, collectSettings());
+        settingsLinkInput.value = link;
+        const showLink = () => {
+            settingsLinkInput.hidden = false;
+            settingsLinkInput.select();
+            showSettingsStatus('Copy the selected link.');
+        };
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link).then(() => {
+                settingsLinkInput.hidden = true;
+                showSettingsStatus('Link copied to the clipboard.');
+            }).catch(showLink);
+        } else {
+            showLink();
+        }
+    });
+    resetSettingsButton.addEventListener('click', () => {
+        restoreSettings(defaultSettings);
+        clearTimeout(settingsSaveTimer);
+        settingsSaveTimer = null;
+        Settings.clear();
+        showSettingsStatus('Settings reset to the defaults.');
+    });
+
+    ['change', 'keyup', 'pointerup'].forEach(eventName => document.addEventListener(eventName, scheduleSettingsSave));
+    window.addEventListener('pagehide', saveSettingsNow);
+    window.addEventListener('hashchange', loadSettingsFromHash); // A link pasted into the same tab
+
+    if (!loadSettingsFromHash()) {
+        const savedSettings = Settings.load();
+        if (savedSettings) loadSettings(savedSettings, 'the last session');
+    }
 
     // Ensure AudioContext is resumed on user interaction (browsers require this)
     function resumeAudioContext() {
@@ -551,7 +2872,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
     // Add event listeners for user interaction to resume AudioContext
-    ['click', 'keydown', 'touchstart'].forEach(eventName => {
+    ['click', 'keydown', 'touchstart', 'pointerdown'].forEach(eventName => {
         document.body.addEventListener(eventName, resumeAudioContext, { once: true });
     });
 
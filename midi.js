@@ -0,0 +1,197 @@
+// Web MIDI support.
+// Input: note messages from a hardware controller are mapped to grid cells (baseNote -> 1x cell).
+// Output: every voice is sent as note + pitch bend on its own member channel (MPE-style),
+// so an external synth can reproduce the exact ratio frequencies. Gliding voices follow with more pitch bends
+// and channel pressure.
+const Midi = {
+    access: null,
+    input: null,
+    output: null,
+    baseNote: 60, // Incoming MIDI note that plays the 1x cell
+    shiftOffset: 0, // Shifts incoming notes by whole grid rows, like the shift of the PC key map (KeyMap.shift)
+    learnMode: false, // When true, the next incoming note becomes the base note
+    pitchBendRange: 48, // Semitones; 48 is the MPE default for member channels
+    memberChannels: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15], // 0-based; channel 0 is the MPE manager channel
+    outputVoices: new Map(), // voiceKey -> { channel, note, bend, pressure } (the last values sent), in note-on order (oldest first)
+
+    // Callbacks set by main.js
+    onNoteOn: null, // (note, velocity 0..1)
+    onNoteOff: null, // (note)
+    onLearn: null, // (note)
+    onSustain: null, // (isDown) for the sustain pedal, CC 64
+    onDevicesChanged: null, // ()
+
+    // navigatorLike is injectable so tests can pass a mocked requestMIDIAccess.
+    // Resolves to true if Web MIDI is available.
+    async init(navigatorLike) {
+        if (!navigatorLike || typeof navigatorLike.requestMIDIAccess !== 'function') {
+            console.warn('Midi: Web MIDI is not available in this browser.');
+            return false;
+        }
+        try {
+            this.access = await navigatorLike.requestMIDIAccess({ sysex: false });
+        } catch (e) {
+            console.error('Midi: Access to MIDI devices was denied:', e);
+            return false;
+        }
+        this.access.onstatechange = () => {
+            if (this.onDevicesChanged) this.onDevicesChanged();
+        };
+        return true;
+    },
+
+    getInputs() {
+        return this.access ? Array.from(this.access.inputs.values()) : [];
+    },
+
+    getOutputs() {
+        return this.access ? Array.from(this.access.outputs.values()) : [];
+    },
+
+    selectInput(id) {
+        if (this.input) {
+            this.input.onmidimessage = null;
+        }
+        this.input = this.getInputs().find(input => input.id === id) || null;
+        if (this.input) {
+            this.input.onmidimessage = (event) => this.handleMessage(event.data);
+        }
+    },
+
+    selectOutput(id) {
+        this.allNotesOff();
+        this.output = this.getOutputs().find(output => output.id === id) || null;
+        if (this.output) {
+            this.configureOutput();
+        }
+    },
+
+    handleMessage(data) {
+        const command = data[0] & 0xf0;
+        const note = data[1];
+        const velocity = data[2];
+
+        if (command === 0x90 && velocity > 0) {
+            if (this.learnMode) {
+                this.baseNote = note;
+                this.learnMode = false;
+                if (this.onLearn) this.onLearn(note);
+                return;
+            }
+            if (this.onNoteOn) this.onNoteOn(note, velocity / 127);
+        } else if (command === 0x80 || (command === 0x90 && velocity === 0)) {
+            if (this.onNoteOff) this.onNoteOff(note);
+        } else if (command === 0xb0 && data[1] === 64) {
+            if (this.onSustain) this.onSustain(data[2] >= 64);
+        }
+    },
+
+    // Maps an incoming note to a linear cell index, or null if it falls outside the grid.
+    // Consecutive notes walk consecutive cells; each shift step moves by one grid row.
+    getCellIndexForNote(note) {
+        const cellIndex = Tuning.referenceCellIndex + (note - this.baseNote) + this.shiftOffset * Tuning.gridWidth;
+        return Tuning.isValidIndex(cellIndex) ? cellIndex : null;
+    },
+
+    // --- Output ---
+
+    send(bytes) {
+        if (this.output) {
+            this.output.send(bytes);
+        }
+    },
+
+    // Announces the MPE zone and sets the pitch bend range on every member channel (RPN 0)
+    configureOutput() {
+        // MPE Configuration Message on the manager channel: RPN 6 = number of member channels
+        this.send([0xb0, 101, 0]);
+        this.send([0xb0, 100, 6]);
+        this.send([0xb0, 6, this.memberChannels.length]);
+        this.memberChannels.forEach(channel => {
+            this.send([0xb0 | channel, 101, 0]);
+            this.send([0xb0 | channel, 100, 0]);
+            this.send([0xb0 | channel, 6, this.pitchBendRange]);
+            this.send([0xb0 | channel, 38, 0]);
+        });
+    },
+
+    // Nearest 12-TET note (A4 = 440 Hz) plus the 14-bit pitch bend that corrects it to the exact frequency
+    getNoteAndBend(frequency, pitchBendRange = this.pitchBendRange) {
+        const exactNote = 69 + 12 * Math.log2(frequency / 440);
+        const note = Math.round(exactNote);
+        const bend = Math.round(8192 + ((exactNote - note) / pitchBendRange) * 8192);
+        return { note, bend: Math.max(0, Math.min(16383, bend)) };
+    },
+
+    sendNoteOn(voiceKey, frequency, velocity = 1) {
+        if (!this.output) return;
+        const { note, bend } = this.getNoteAndBend(frequency);
+        if (note < 0 || note > 127) return; // Not representable as a MIDI note
+
+        if (this.outputVoices.has(voiceKey)) {
+            this.sendNoteOff(voiceKey);
+        }
+        const usedChannels = new Set(Array.from(this.outputVoices.values(), voice => voice.channel));
+        let channel = this.memberChannels.find(c => !usedChannels.has(c));
+        if (channel === undefined) {
+            // Every member channel is busy: steal the oldest voice
+            const [oldestKey, oldestVoice] = this.outputVoices.entries().next().value;
+            channel = oldestVoice.channel;
+            this.sendNoteOff(oldestKey);
+        }
+
+        const midiVelocity = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+        this.send([0xe0 | channel, bend & 0x7f, bend >> 7]); // Pitch bend before the note so it starts in tune
+        this.send([0x90 | channel, note, midiVelocity]);
+        this.outputVoices.set(voiceKey, { channel, note, bend, pressure: null });
+    },
+
+    // Bends a sounding voice to a new frequency (glide mode), relative to the note it started on.
+    // Frequencies beyond the pitch bend range stop at its edge.
+    sendPitchBend(voiceKey, frequency) {
+        const voice = this.outputVoices.get(voiceKey);
+        if (!voice) return;
+        const exactNote = 69 + 12 * Math.log2(frequency / 440);
+        const bend = Math.max(0, Math.min(16383, Math.round(8192 + ((exactNote - voice.note) / this.pitchBendRange) * 8192)));
+        if (bend === voice.bend) return;
+        voice.bend = bend;
+        this.send([0xe0 | voice.channel, bend & 0x7f, bend >> 7]);
+    },
+
+    // Channel pressure on the voice's member channel (MPE's per-note loudness), amount 0..1
+    sendPressure(voiceKey, amount) {
+        const voice = this.outputVoices.get(voiceKey);
+        if (!voice) return;
+        const pressure = Math.max(0, Math.min(127, Math.round(amount * 127)));
+        if (pressure === voice.pressure) return;
+        voice.pressure = pressure;
+        this.send([0xd0 | voice.channel, pressure]);
+    },
+
+    sendNoteOff(voiceKey) {
+        const voice = this.outputVoices.get(voiceKey);
+        if (!voice) return;
+        this.send([0x80 | voice.channel, voice.note, 0]);
+        this.outputVoices.delete(voiceKey);
+    },
+
+    allNotesOff() {
+        Array.from(this.outputVoices.keys()).forEach(voiceKey => this.sendNoteOff(voiceKey));
+    },
+
+    // All Sound Off (CC 120) and All Notes Off (CC 123) on every channel, for notes stuck on the receiving synth
+    panic() {
+        this.allNotesOff();
+        for (let channel = 0; channel < 16; channel++) {
+            this.send([0xb0 | channel, 120, 0]);
+            this.send([0xb0 | channel, 123, 0]);
+        }
+    }
+};
+
+// Node (tests, scripts): require('./midi.js') and pass a mocked navigator to Midi.init.
+// Incoming notes are mapped through the tuning model, so it comes along (see the end of tuning.js).
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Midi;
+    require('./tuning.js');
+}
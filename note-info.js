@@ -0,0 +1,95 @@
+// Labels for frequencies and ratios: nearest 12-TET note name (A4 = 440 Hz) with its deviation in cents,
+// octave-reduced ratios and intervals. Shared by the cell overlays, the held-notes readout, the canvas tooltip
+// and exported takes, so every view names a note the same way.
+const NoteInfo = {
+    noteNames: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+
+    // { name: 'E6', midiNote, cents } where cents is the deviation from that 12-TET note (-50..+50)
+    getNearestNote(frequency) {
+        const exactNote = 69 + 12 * Math.log2(frequency / 440);
+        const midiNote = Math.round(exactNote);
+        const name = `${this.noteNames[((midiNote % 12) + 12) % 12]}${Math.floor(midiNote / 12) - 1}`;
+        return { name, midiNote, cents: (exactNote - midiNote) * 100 };
+    },
+
+    getCents(ratio) {
+        return 1200 * Math.log2(ratio.numerator / ratio.denominator);
+    },
+
+    // Folds a ratio into the octave [1/1, 2/1), e.g. 5/1 -> 5/4 and 1/3 -> 4/3
+    reduceToOctave(ratio) {
+        let { numerator, denominator } = ratio;
+        while (numerator >= 2 * denominator) denominator *= 2;
+        while (numerator < denominator) numerator *= 2;
+        return Tuning.reduceRatio(numerator, denominator);
+    },
+
+    primeLimits: new Map(), // 'numerator/denominator' -> prime limit, as the canvas asks again on every redraw
+
+    // Largest prime factor of the numerator and denominator, e.g. 3 for 9/8 and 7 for 7/4.
+    // 1/1 and its octaves count as 2-limit. Results are cached: trial division of a large prime
+    // (e.g. in an imported Scala ratio) takes a while.
+    getPrimeLimit(ratio) {
+        const key = this.formatRatio(ratio);
+        if (!this.primeLimits.has(key)) {
+            this.primeLimits.set(key, this.computePrimeLimit(ratio));
+        }
+        return this.primeLimits.get(key);
+    },
+
+    computePrimeLimit(ratio) {
+        let limit = 2;
+        [ratio.numerator, ratio.denominator].forEach(value => {
+            let rest = value;
+            for (let factor = 2; factor * factor <= rest; factor++) {
+                while (rest % factor === 0) {
+                    limit = Math.max(limit, factor);
+                    rest /= factor;
+                }
+            }
+            if (rest > 1) limit = Math.max(limit, rest);
+        });
+        return limit;
+    },
+
+    formatRatio(ratio) {
+        return `${ratio.numerator}/${ratio.denominator}`;
+    },
+
+    // Spoken name of a ratio for screen readers: "Fundamental", "5th harmonic", "3rd subharmonic" or "Ratio 15/8"
+    getRatioName(ratio) {
+        if (ratio.numerator === 1 && ratio.denominator === 1) return 'Fundamental';
+        if (ratio.denominator === 1) return `${this.formatOrdinal(ratio.numerator)} harmonic`;
+        if (ratio.numerator === 1) return `${this.formatOrdinal(ratio.denominator)} subharmonic`;
+        return `Ratio ${this.formatRatio(ratio)}`;
+    },
+
+    // 1st, 2nd, 3rd, 4th, ... 11th, 12th, 13th, ... 21st
+    formatOrdinal(number) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const isTeen = number % 100 >= 11 && number % 100 <= 13;
+        return `${number}${isTeen ? 'th' : suffixes[number % 10] || 'th'}`;
+    },
+
+    formatCents(cents) {
+        const rounded = Math.round(cents * 10) / 10;
+        return `${rounded < 0 ? '−' : '+'}${Math.abs(rounded).toFixed(1)}¢`;
+    },
+
+    // Plain-data description of a note, e.g. { noteName: 'E6', cents: 2, octaveRatio: '5/4' }.
+    // octaveRatio is left out when the ratio is unknown.
+    describe(frequency, ratio) {
+        const nearest = this.getNearestNote(frequency);
+        const description = { noteName: nearest.name, cents: Math.round(nearest.cents * 10) / 10 };
+        if (ratio) {
+            description.octaveRatio = this.formatRatio(this.reduceToOctave(ratio));
+        }
+        return description;
+    },
+
+    // Interval from the lower to the upper note as a ratio in lowest terms and in cents
+    getInterval(lowerRatio, upperRatio) {
+        const ratio = Tuning.reduceRatio(upperRatio.numerator * lowerRatio.denominator, upperRatio.denominator * lowerRatio.numerator);
+        return { ratio, cents: this.getCents(ratio) };
+    }
+};
@@ -1,124 +1,202 @@
 const Piano = {
     audioContext: null,
-    pianoSampleBuffer: null,
-    // Using a publicly available A4 piano sample
-    sampleUrl: 'https://gleitz.github.io/midi-js-soundfonts/MusyngKite/acoustic_grand_piano-mp3/A4.mp3',
-    originalFrequency: 440, // Frequency of the A4 sample
-    activeSources: {}, // To manage playing piano notes
+    // Sample zones: one sample every minor third (C, Eb, Gb, A) from A0 to C8.
+    // Each note is played from the zone whose root is nearest, so no sample is repitched by more than 1.5 semitones.
+    lowestZoneMidiNote: 21, // A0
+    highestZoneMidiNote: 108, // C8
+    zoneStep: 3, // Semitones between zone roots
+    noteNames: ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'], // File names use flats
+    // Folders tried in order for every sample file (e.g. A4.mp3). Local paths come first so the piano works offline;
+    // the Musyng Kite soundfont from gleitz/midi-js-soundfonts is the online fallback.
+    sampleBaseUrls: [
+        'samples/piano/',
+        'https://gleitz.github.io/midi-js-soundfonts/MusyngKite/acoustic_grand_piano-mp3/'
+    ],
+    sampleExtension: '.mp3',
+    zones: [], // { noteName, frequency, buffer } for every loaded sample, sorted by frequency
+    status: 'idle', // 'idle', 'loading', 'ready', 'partial' (some zones missing) or 'fallback' (synthesized voice)
+    statusMessage: '',
+    loadGeneration: 0, // Counts loadSamples calls; a load that has been superseded by a newer one drops its results
+    onStatusChange: null, // Called with (status, statusMessage) whenever the loading state changes
+    synthLevel: 0.3, // Gain scale of the synthesized fallback voice relative to the samples
 
+    // Samples are loaded by the sound source registry (sound-sources.js) through loadSamples()
     init(audioCtx) {
         this.audioContext = audioCtx;
-        if (this.audioContext) {
-            this.loadSample();
-        } else {
+        if (!this.audioContext) {
             console.error('Piano: AudioContext not provided for initialization.');
         }
     },
 
-    async loadSample() {
-        if (!this.audioContext) {
-            console.error('Piano: Cannot load sample, AudioContext is not initialized.');
-            return;
-        }
-        if (this.pianoSampleBuffer) {
-            console.log('Piano: Sample already loaded.');
-            return;
+    // Replaces the list of sample folders/URLs and reloads every zone
+    configure({ sampleBaseUrls }) {
+        if (Array.isArray(sampleBaseUrls) && sampleBaseUrls.length > 0) {
+            this.sampleBaseUrls = sampleBaseUrls;
         }
+        return this.loadSamples();
+    },
 
-        try {
-            console.log(`Piano: Loading sample from ${this.sampleUrl}`);
-            const response = await fetch(this.sampleUrl);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const arrayBuffer = await response.arrayBuffer();
-            this.pianoSampleBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            console.log('Piano: Sample loaded and decoded successfully.');
-        } catch (e) {
-            console.error('Piano: Error loading or decoding sample:', e);
-            // Fallback or error indication could be handled here
+    setStatus(status, statusMessage) {
+        this.status = status;
+        this.statusMessage = statusMessage;
+        if (this.onStatusChange) this.onStatusChange(status, statusMessage);
+    },
+
+    // Browsers refuse fetch() for files when the page itself is opened as a file (file://),
+    // so relative sample folders only work when the page is served over HTTP
+    isLocalFetchBlocked() {
+        return typeof location !== 'undefined' && location.protocol === 'file:';
+    },
+
+    isRelativeUrl(url) {
+        return !/^[a-z][a-z0-9+.-]*:/i.test(url);
+    },
+
+    // The sample folders that can be fetched from this page
+    getUsableBaseUrls() {
+        return this.isLocalFetchBlocked() ? this.sampleBaseUrls.filter(url => !this.isRelativeUrl(url)) : this.sampleBaseUrls;
+    },
+
+    getZoneNotes() {
+        const notes = [];
+        for (let midiNote = this.lowestZoneMidiNote; midiNote <= this.highestZoneMidiNote; midiNote += this.zoneStep) {
+            notes.push(midiNote);
         }
+        return notes;
     },
 
-    play(frequency) {
-        if (!this.audioContext || !this.pianoSampleBuffer) {
-            console.warn('Piano: Sample not loaded or AudioContext not available. Cannot play note.');
-            return null; // Indicate that playback failed
+    async loadSamples() {
+        if (!this.audioContext) {
+            console.error('Piano: Cannot load samples, AudioContext is not initialized.');
+            return;
         }
 
-        // Stop any existing note at this frequency before playing a new one
-        if (this.activeSources[frequency]) {
+        const generation = ++this.loadGeneration;
+        const zoneNotes = this.getZoneNotes();
+        let finished = 0;
+        this.setStatus('loading', `Loading piano samples… (0/${zoneNotes.length})`);
+
+        const results = await Promise.all(zoneNotes.map(async midiNote => {
+            const noteName = `${this.noteNames[midiNote % 12]}${Math.floor(midiNote / 12) - 1}`;
+            const buffer = await this.loadZoneSample(noteName);
+            finished++;
+            if (generation !== this.loadGeneration) return null;
+            this.setStatus('loading', `Loading piano samples… (${finished}/${zoneNotes.length})`);
+            return buffer ? { noteName, frequency: 440 * Math.pow(2, (midiNote - 69) / 12), buffer } : null;
+        }));
+        if (generation !== this.loadGeneration) return; // Reloaded meanwhile, e.g. with other sample URLs
+
+        this.zones = results.filter(zone => zone !== null);
+        const skippedLocal = this.isLocalFetchBlocked() && this.sampleBaseUrls.some(url => this.isRelativeUrl(url));
+        const localNote = skippedLocal ? ' Local sample folders need the page served over HTTP, not opened as a file.' : '';
+        if (this.zones.length === zoneNotes.length) {
+            this.setStatus('ready', `Piano ready (${this.zones.length} samples).${localNote}`);
+        } else if (this.zones.length > 0) {
+            this.setStatus('partial', `Piano: ${this.zones.length} of ${zoneNotes.length} samples loaded; missing ranges use the nearest sample.${localNote}`);
+        } else {
+            console.warn('Piano: No samples could be loaded. Using the synthesized piano voice.');
+            this.setStatus('fallback', `Piano samples unavailable (offline?). Using a synthesized piano voice.${localNote}`);
+        }
+    },
+
+    // Tries every base URL in order; resolves to the decoded buffer or null
+    async loadZoneSample(noteName) {
+        for (const baseUrl of this.getUsableBaseUrls()) {
+            const url = `${baseUrl}${noteName}${this.sampleExtension}`;
             try {
-                this.activeSources[frequency].source.stop();
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const arrayBuffer = await response.arrayBuffer();
+                return await this.audioContext.decodeAudioData(arrayBuffer);
             } catch (e) {
-                // Ignore errors if source already stopped
+                // Try the next location
             }
-            delete this.activeSources[frequency];
         }
+        return null;
+    },
 
-        const source = this.audioContext.createBufferSource();
-        source.buffer = this.pianoSampleBuffer;
+    // Loaded zone whose root is nearest to the frequency (in log-frequency distance)
+    getNearestZone(frequency) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.zones.forEach(zone => {
+            const distance = Math.abs(Math.log2(frequency / zone.frequency));
+            if (distance < nearestDistance) {
+                nearest = zone;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    },
 
-        const gainNode = this.audioContext.createGain();
-        // Further increased volume
-        const now = this.audioContext.currentTime;
-        gainNode.gain.setValueAtTime(1.5, now); // Increased initial volume further
+    // Creates one piano voice on any AudioContext or OfflineAudioContext, starting at `when`.
+    // Shared by live playback and offline rendering through the 'piano' sound source.
+    // Uses the nearest sample zone, or a synthesized voice when no samples are loaded.
+    // Returns { source, gainNode, startTime, level }, where level is the velocity scaled for the voice type.
+    createVoice(context, destination, frequency, velocity, when) {
+        const zone = this.getNearestZone(frequency);
+        let source;
+        let gainScale = 1;
+        if (zone) {
+            source = context.createBufferSource();
+            source.buffer = zone.buffer; // Decoded buffers can be shared between contexts
+            // Adjust playback rate to change the pitch
+            // playbackRate = desiredFrequency / rootFrequencyOfZone
+            source.playbackRate.value = frequency / zone.frequency;
+        } else {
+            // Synthesized fallback: a triangle wave through the same envelope
+            source = context.createOscillator();
+            source.type = 'triangle';
+            source.frequency.setValueAtTime(frequency, when);
+            gainScale = this.synthLevel;
+        }
+
+        const gainNode = context.createGain();
+        const level = velocity * gainScale;
         // Hold at a sustain level, then decay.
         // This is a simplified ADSR-like envelope.
         // Attack (implicit, very fast with setValueAtTime)
+        gainNode.gain.setValueAtTime(1.5 * level, when); // Increased initial volume further, scaled by velocity (0..1)
         // Decay to sustain level
-        gainNode.gain.linearRampToValueAtTime(1.3, now + 0.1); // Increased sustain level further
+        gainNode.gain.linearRampToValueAtTime(1.3 * level, when + 0.1); // Increased sustain level further
         // Sustain (this level is held until stop is called or note naturally ends)
-        // Release (handled by Piano.stop or natural end of sample + ramp)
-        // Set a long ramp to simulate sustain, which will be cut short by Piano.stop
-        gainNode.gain.exponentialRampToValueAtTime(0.001, now + 5); // Long potential decay (e.g., 5 seconds)
+        // Release (handled by releaseVoice or natural end of sample + ramp)
+        // Set a long ramp to simulate sustain, which will be cut short by releaseVoice
+        gainNode.gain.exponentialRampToValueAtTime(0.001, when + 5); // Long potential decay (e.g., 5 seconds)
 
         source.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-
-        // Adjust playback rate to change the pitch
-        // playbackRate = desiredFrequency / originalFrequencyOfSample
-        source.playbackRate.value = frequency / this.originalFrequency;
-
-        source.start(this.audioContext.currentTime);
+        gainNode.connect(destination);
 
-        this.activeSources[frequency] = { source, gainNode };
+        source.start(when);
+        if (!zone) {
+            source.stop(when + 5); // The oscillator would otherwise run silently forever
+        }
+        return { source, gainNode, startTime: when, level };
+    },
 
-        source.onended = () => {
-            // Clean up when the sound finishes
-            if (this.activeSources[frequency] && this.activeSources[frequency].source === source) {
-                delete this.activeSources[frequency];
-            }
-        };
-        
-        return source; // Return the source node
+    // Value of the envelope scheduled by createVoice, `elapsed` seconds after note-on.
+    // Used as the starting level of the release ramp, so releases scheduled in advance
+    // (offline rendering) start from the same level as live ones.
+    envelopeAt(elapsed, level) {
+        if (elapsed <= 0) return 1.5 * level;
+        if (elapsed < 0.1) return (1.5 - 0.2 * elapsed / 0.1) * level;
+        if (elapsed >= 5) return 0.001;
+        const sustainLevel = 1.3 * level;
+        return sustainLevel * Math.pow(0.001 / sustainLevel, (elapsed - 0.1) / 4.9);
     },
 
-    stop(frequency) {
-        if (this.activeSources[frequency]) {
-            const { source, gainNode } = this.activeSources[frequency];
-            // When stop is called (e.g., on key release), initiate a release phase for the envelope.
-            if (gainNode && source) {
-                const now = this.audioContext.currentTime;
-                try {
-                    // Cancel any scheduled changes after the current time
-                    gainNode.gain.cancelScheduledValues(now);
-                    // Set current value to ensure smooth transition
-                    gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-                    // Apply a release ramp (e.g., 0.5 seconds to fade out)
-                    gainNode.gain.exponentialRampToValueAtTime(0.0001, now + 0.5);
-                    // Stop the source after the release ramp is complete
-                    source.stop(now + 0.51);
-                } catch(e) {
-                    // Source might have already stopped or not started, or other minor issues.
-                    console.warn(`Piano.stop: Error during stopping process for frequency ${frequency}:`, e);
-                    // Ensure cleanup even if there's an error
-                    if (source && typeof source.stop === 'function') {
-                        try { source.stop(); } catch (stopErr) { /* ignore */ }
-                    }
-                }
-            }
-            delete this.activeSources[frequency];
-        }
+    // Initiates the release phase of a voice at `when` (e.g. on key release)
+    releaseVoice(voice, when) {
+        const { source, gainNode } = voice;
+        // Cancel any scheduled changes after the release time
+        gainNode.gain.cancelScheduledValues(when);
+        // Start the ramp from the envelope's level at that time to ensure a smooth transition
+        gainNode.gain.setValueAtTime(this.envelopeAt(when - voice.startTime, voice.level), when);
+        // Apply a release ramp (e.g., 0.5 seconds to fade out)
+        gainNode.gain.exponentialRampToValueAtTime(0.0001, when + 0.5);
+        // Stop the source after the release ramp is complete
+        source.stop(when + 0.51);
     }
 };
@@ -0,0 +1,161 @@
+// Ear-training quiz. A question plays the 1x reference and then one target (a harmonic or subharmonic),
+// or two targets one after the other (interval) or together (chord); the student answers by clicking
+// the target cells, in any order. A wrong cell ends the question.
+// The model only picks questions and keeps the score; main.js plays them and turns clicks into answers.
+// Ratios are { numerator, denominator } relative to the 1x cell, so the quiz works on any layout
+// that has cells for them (the lattice, for example, has no 7x).
+const Quiz = {
+    resultsVersion: 1,
+
+    types: {
+        harmonic: 'Single harmonic',
+        interval: 'Interval (one after the other)',
+        chord: 'Chord (together)'
+    },
+
+    // Difficulty levels: the harmonics (n/1) and subharmonics (1/n) questions are drawn from
+    levels: [
+        { id: 'harmonics-8', name: 'Harmonics 1–8', harmonics: 8, subharmonics: 0 },
+        { id: 'harmonics-16', name: 'Harmonics 1–16', harmonics: 16, subharmonics: 0 },
+        { id: 'subharmonics-8', name: 'Harmonics and subharmonics 1–8', harmonics: 8, subharmonics: 8 },
+        { id: 'subharmonics-16', name: 'Harmonics and subharmonics 1–16', harmonics: 16, subharmonics: 16 }
+    ],
+
+    type: 'harmonic',
+    level: 'harmonics-8',
+
+    // Open or last question: { type, level, targets: [ratio], found: [ratio], wrongAnswer: ratio or null, finished, correct }
+    question: null,
+    asked: 0,
+    correct: 0,
+    streak: 0,
+    bestStreak: 0,
+    stats: {}, // 'n/d' -> { ratio, asked, correct }, counted per target
+    history: [], // Finished questions, oldest first, for the exported results
+
+    getKey(ratio) {
+        return `${ratio.numerator}/${ratio.denominator}`;
+    },
+
+    getLevel(levelId) {
+        return this.levels.find(level => level.id === levelId) || null;
+    },
+
+    // Ratios of a level that have a cell on the current grid, lowest first
+    getPool(levelId = this.level) {
+        const level = this.getLevel(levelId);
+        const ratios = [];
+        for (let n = level.subharmonics; n >= 2; n--) ratios.push({ numerator: 1, denominator: n });
+        for (let n = 1; n <= level.harmonics; n++) ratios.push({ numerator: n, denominator: 1 });
+        return ratios.filter(ratio => Tuning.findCell(ratio) !== null);
+    },
+
+    isAwaitingAnswer() {
+        return this.question !== null && !this.question.finished;
+    },
+
+    // Starts a new question of the current type and level. An open question is counted as wrong first.
+    // Throws an Error if the grid has fewer than two cells for the level. random is injectable for tests.
+    next(random = Math.random) {
+        const targetCount = this.type === 'harmonic' ? 1 : 2;
+        const pool = this.getPool();
+        if (pool.length < 2) { // One cell would make every question the same
+            throw new Error(`The grid has ${pool.length === 0 ? 'no cells' : 'only one cell'} for ${this.getLevel(this.level).name}; choose another level or layout.`);
+        }
+        if (this.isAwaitingAnswer()) this.finish(false);
+
+        // Avoid asking the same question twice in a row when the pool allows it
+        const previousKeys = this.question ? this.question.targets.map(ratio => this.getKey(ratio)).sort().join() : null;
+        let targets;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const remaining = pool.slice();
+            targets = [];
+            while (targets.length < targetCount) {
+                targets.push(remaining.splice(Math.floor(random() * remaining.length), 1)[0]);
+            }
+            if (targets.map(ratio => this.getKey(ratio)).sort().join() !== previousKeys) break;
+        }
+        this.question = { type: this.type, level: this.level, targets, found: [], wrongAnswer: null, finished: false, correct: false };
+        return this.question;
+    },
+
+    // Checks a clicked cell's ratio (null for a cell without one). Returns 'found' while targets remain,
+    // then 'correct' or 'wrong'; null if no question is open or the target was already found.
+    answer(ratio) {
+        if (!this.isAwaitingAnswer()) return null;
+        const key = ratio ? this.getKey(ratio) : null;
+        const target = this.question.targets.find(candidate => this.getKey(candidate) === key);
+        if (!target) {
+            this.question.wrongAnswer = ratio;
+            this.finish(false);
+            return 'wrong';
+        }
+        if (this.question.found.includes(target)) return null;
+        this.question.found.push(target);
+        if (this.question.found.length < this.question.targets.length) return 'found';
+        this.finish(true);
+        return 'correct';
+    },
+
+    // Ends the open question without an answer, e.g. "Show answer"; it counts as wrong
+    reveal() {
+        if (this.isAwaitingAnswer()) this.finish(false);
+    },
+
+    finish(correct) {
+        const question = this.question;
+        question.finished = true;
+        question.correct = correct;
+        this.asked++;
+        if (correct) {
+            this.correct++;
+            this.streak++;
+            this.bestStreak = Math.max(this.bestStreak, this.streak);
+        } else {
+            this.streak = 0;
+        }
+        question.targets.forEach(ratio => {
+            const key = this.getKey(ratio);
+            const stat = this.stats[key] || (this.stats[key] = { ratio, asked: 0, correct: 0 });
+            stat.asked++;
+            if (question.found.includes(ratio)) stat.correct++;
+        });
+        this.history.push({
+            time: new Date().toISOString(),
+            type: question.type,
+            level: question.level,
+            targets: question.targets.map(ratio => this.getKey(ratio)),
+            found: question.found.map(ratio => this.getKey(ratio)),
+            wrongAnswer: question.wrongAnswer ? this.getKey(question.wrongAnswer) : null,
+            correct
+        });
+    },
+
+    // [{ ratio, asked, correct }] from the lowest subharmonic to the highest harmonic
+    getAccuracy() {
+        return Object.values(this.stats).sort((a, b) => a.ratio.numerator / a.ratio.denominator - b.ratio.numerator / b.ratio.denominator);
+    },
+
+    reset() {
+        this.question = null;
+        this.asked = 0;
+        this.correct = 0;
+        this.streak = 0;
+        this.bestStreak = 0;
+        this.stats = {};
+        this.history = [];
+    },
+
+    // The session's results; tuning describes the grid the questions were played on
+    toJSON(tuning) {
+        return JSON.stringify({
+            format: 'harmkey-quiz-results',
+            version: this.resultsVersion,
+            exportedAt: new Date().toISOString(),
+            tuning,
+            score: { asked: this.asked, correct: this.correct, streak: this.streak, bestStreak: this.bestStreak },
+            accuracy: this.getAccuracy().map(stat => ({ ratio: this.getKey(stat.ratio), asked: stat.asked, correct: stat.correct })),
+            questions: this.history
+        }, null, 2);
+    }
+};
@@ -0,0 +1,255 @@
+// Performance recorder: captures note-on/off and glide events from every input, replays them,
+// and exports takes as JSON (re-importable) or as a Standard MIDI File that uses pitch bends
+// for frequencies that are not in 12-TET.
+const Recorder = {
+    takeVersion: 2, // Version 2 added glide events
+    state: 'idle', // 'idle', 'recording' or 'playing'
+    events: [], // { time, type: 'noteon'|'noteoff', voice, cell, ratio: { numerator, denominator } or null, frequency, velocity, source }
+    // and { time, type: 'glide', voice, cell, ratio, frequency, glideTime }: a held note slid to `frequency` over glideTime seconds
+    baseFrequency: null, // Fundamental in use when the take was recorded
+    startTime: 0,
+    openNotes: new Map(), // voice -> note-on event, used to complete note-off events while recording
+    playbackTimers: [],
+    playbackCallbacks: null,
+    playbackNotes: new Map(), // voice -> note-on event currently sounding during playback
+
+    // SMF export settings
+    ticksPerQuarter: 480,
+    tempo: 500000, // Microseconds per quarter note (120 BPM)
+    filePitchBendRange: 2, // Semitones; the General MIDI default, so files play correctly without RPN support
+
+    now() {
+        return performance.now() / 1000;
+    },
+
+    startRecording(baseFrequency) {
+        this.stop();
+        this.events = [];
+        this.openNotes.clear();
+        this.baseFrequency = baseFrequency;
+        this.startTime = this.now();
+        this.state = 'recording';
+    },
+
+    // Called by main.js for every note-on. note = { voice, cell, ratio, frequency, velocity, source }
+    recordNoteOn(note) {
+        if (this.state !== 'recording') return;
+        const event = Object.assign({ time: this.now() - this.startTime, type: 'noteon' }, note);
+        this.events.push(event);
+        this.openNotes.set(note.voice, event);
+    },
+
+    // Called by main.js when a held voice glides. glide = { cell, ratio, frequency, glideTime }
+    recordGlide(voice, glide) {
+        if (this.state !== 'recording' || !this.openNotes.has(voice)) return;
+        this.events.push(Object.assign({ time: this.now() - this.startTime, type: 'glide', voice }, glide));
+    },
+
+    // Note-offs copy ratio, frequency and source from the matching note-on
+    recordNoteOff(voice) {
+        if (this.state !== 'recording') return;
+        const noteOn = this.openNotes.get(voice);
+        if (!noteOn) return;
+        this.events.push(this.createNoteOff(noteOn, this.now() - this.startTime));
+        this.openNotes.delete(voice);
+    },
+
+    // Closes every held note, e.g. when all notes are stopped at once
+    recordAllNotesOff() {
+        Array.from(this.openNotes.keys()).forEach(voice => this.recordNoteOff(voice));
+    },
+
+    createNoteOff(noteOn, time) {
+        return {
+            time,
+            type: 'noteoff',
+            voice: noteOn.voice,
+            cell: noteOn.cell,
+            ratio: noteOn.ratio,
+            frequency: noteOn.frequency,
+            velocity: 0,
+            source: noteOn.source
+        };
+    },
+
+    // callbacks = { noteOn(event), noteOff(event), glide(event), finished() }
+    play(callbacks) {
+        this.stop();
+        if (this.events.length === 0) return false;
+        this.state = 'playing';
+        this.playbackCallbacks = callbacks;
+        this.events.forEach(event => {
+            this.playbackTimers.push(setTimeout(() => {
+                if (event.type === 'noteon') {
+                    this.playbackNotes.set(event.voice, event);
+                    callbacks.noteOn(event);
+                } else if (event.type === 'glide') {
+                    if (this.playbackNotes.has(event.voice)) callbacks.glide(event);
+                } else if (this.playbackNotes.has(event.voice)) {
+                    this.playbackNotes.delete(event.voice);
+                    callbacks.noteOff(event);
+                }
+            }, event.time * 1000));
+        });
+        const duration = this.events[this.events.length - 1].time;
+        this.playbackTimers.push(setTimeout(() => this.stop(), duration * 1000 + 10));
+        return true;
+    },
+
+    stop() {
+        if (this.state === 'recording') {
+            // Close notes that are still held so the take is well-formed
+            const endTime = this.now() - this.startTime;
+            this.openNotes.forEach(noteOn => this.events.push(this.createNoteOff(noteOn, endTime)));
+            this.openNotes.clear();
+        } else if (this.state === 'playing') {
+            this.playbackTimers.forEach(timer => clearTimeout(timer));
+            this.playbackTimers = [];
+            const callbacks = this.playbackCallbacks;
+            this.playbackNotes.forEach(noteOn => callbacks.noteOff(this.createNoteOff(noteOn, noteOn.time)));
+            this.playbackNotes.clear();
+            this.playbackCallbacks = null;
+            this.state = 'idle';
+            if (callbacks.finished) callbacks.finished();
+            return;
+        }
+        this.state = 'idle';
+    },
+
+    get duration() {
+        return this.events.length ? this.events[this.events.length - 1].time : 0;
+    },
+
+    // --- JSON Takes ---
+
+    // Each event also carries its nearest note name, cents deviation and octave-reduced ratio (see note-info.js)
+    // for readers of the file; loadJSON ignores them.
+    toJSON() {
+        return JSON.stringify({
+            format: 'harmkey-take',
+            version: this.takeVersion,
+            baseFrequency: this.baseFrequency,
+            events: this.events.map(event => Object.assign({}, event, NoteInfo.describe(event.frequency, event.ratio)))
+        }, null, 2);
+    },
+
+    // Replaces the current take with one parsed from JSON text. Throws an Error with a readable message if it is invalid.
+    loadJSON(text) {
+        let take;
+        try {
+            take = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Not a valid JSON file: ${e.message}`);
+        }
+        if (!take || take.format !== 'harmkey-take' || !Array.isArray(take.events)) {
+            throw new Error('This file is not a Harmonic Keyboard take.');
+        }
+        if (take.version > this.takeVersion) {
+            throw new Error(`This take was saved by a newer version (take version ${take.version}).`);
+        }
+        take.events.forEach((event, index) => {
+            const valid = event && ['noteon', 'noteoff', 'glide'].includes(event.type) &&
+                Number.isFinite(event.time) && event.time >= 0 &&
+                Number.isFinite(event.frequency) && event.frequency > 0 &&
+                event.voice !== undefined &&
+                (event.type !== 'glide' || (Number.isFinite(event.glideTime) && event.glideTime >= 0));
+            if (!valid) {
+                throw new Error(`Event ${index + 1} is malformed.`);
+            }
+        });
+
+        this.stop();
+        this.events = take.events.slice().sort((a, b) => a.time - b.time);
+        this.baseFrequency = take.baseFrequency || null;
+    },
+
+    // --- Standard MIDI File ---
+
+    // Builds a format 0 SMF. Every voice gets its own channel (skipping the GM drum channel 10)
+    // with a pitch bend before each note-on, so ratio frequencies survive the round trip.
+    // Glides become pitch bends on the voice's channel; one that leaves the file's bend range restarts the note
+    // on the nearest key instead. MIDI pitch bends jump, so the glide time is lost.
+    toMidiFile() {
+        const channels = [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13, 14, 15];
+        const ticksPerSecond = this.ticksPerQuarter * 1000000 / this.tempo;
+        const timedMessages = []; // { tick, bytes }
+
+        timedMessages.push({ tick: 0, bytes: [0xff, 0x51, 0x03, (this.tempo >> 16) & 0xff, (this.tempo >> 8) & 0xff, this.tempo & 0xff] });
+        channels.forEach(channel => {
+            // RPN 0: pitch bend sensitivity
+            timedMessages.push({ tick: 0, bytes: [0xb0 | channel, 101, 0] });
+            timedMessages.push({ tick: 0, bytes: [0xb0 | channel, 100, 0] });
+            timedMessages.push({ tick: 0, bytes: [0xb0 | channel, 6, this.filePitchBendRange] });
+            timedMessages.push({ tick: 0, bytes: [0xb0 | channel, 38, 0] });
+        });
+
+        const voiceChannels = new Map(); // voice -> { channel, note }
+        this.events.forEach(event => {
+            const tick = Math.round(event.time * ticksPerSecond);
+            if (event.type === 'noteon') {
+                const { note, bend } = Midi.getNoteAndBend(event.frequency, this.filePitchBendRange);
+                if (note < 0 || note > 127) return;
+                const usedChannels = new Set(Array.from(voiceChannels.values(), voice => voice.channel));
+                const channel = channels.find(c => !usedChannels.has(c));
+                if (channel === undefined) return; // More than 15 simultaneous voices: drop the extra note
+                const velocity = Math.max(1, Math.min(127, Math.round((event.velocity || 1) * 127)));
+                timedMessages.push({ tick, bytes: [0xe0 | channel, bend & 0x7f, bend >> 7] });
+                timedMessages.push({ tick, bytes: [0x90 | channel, note, velocity] });
+                voiceChannels.set(event.voice, { channel, note, velocity });
+            } else if (event.type === 'glide') {
+                const voice = voiceChannels.get(event.voice);
+                if (!voice) return;
+                const semitones = 12 * Math.log2(event.frequency / 440) + 69 - voice.note;
+                if (Math.abs(semitones) <= this.filePitchBendRange) {
+                    const bend = Math.max(0, Math.min(16383, Math.round(8192 + (semitones / this.filePitchBendRange) * 8192)));
+                    timedMessages.push({ tick, bytes: [0xe0 | voice.channel, bend & 0x7f, bend >> 7] });
+                    return;
+                }
+                const { note, bend } = Midi.getNoteAndBend(event.frequency, this.filePitchBendRange);
+                timedMessages.push({ tick, bytes: [0x80 | voice.channel, voice.note, 0] });
+                if (note < 0 || note > 127) {
+                    voiceChannels.delete(event.voice);
+                    return;
+                }
+                timedMessages.push({ tick, bytes: [0xe0 | voice.channel, bend & 0x7f, bend >> 7] });
+                timedMessages.push({ tick, bytes: [0x90 | voice.channel, note, voice.velocity] });
+                voice.note = note;
+            } else {
+                const voice = voiceChannels.get(event.voice);
+                if (!voice) return;
+                timedMessages.push({ tick, bytes: [0x80 | voice.channel, voice.note, 0] });
+                voiceChannels.delete(event.voice);
+            }
+        });
+
+        const trackData = [];
+        let lastTick = 0;
+        timedMessages.forEach(message => {
+            trackData.push(...this.encodeVariableLength(message.tick - lastTick), ...message.bytes);
+            lastTick = message.tick;
+        });
+        trackData.push(0x00, 0xff, 0x2f, 0x00); // End of track
+
+        const header = [
+            0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, // "MThd", header length
+            0, 0, // Format 0
+            0, 1, // One track
+            (this.ticksPerQuarter >> 8) & 0xff, this.ticksPerQuarter & 0xff
+        ];
+        const trackHeader = [
+            0x4d, 0x54, 0x72, 0x6b, // "MTrk"
+            (trackData.length >>> 24) & 0xff, (trackData.length >> 16) & 0xff, (trackData.length >> 8) & 0xff, trackData.length & 0xff
+        ];
+        return new Uint8Array([...header, ...trackHeader, ...trackData]);
+    },
+
+    encodeVariableLength(value) {
+        const bytes = [value & 0x7f];
+        value >>= 7;
+        while (value > 0) {
+            bytes.unshift((value & 0x7f) | 0x80);
+            value >>= 7;
+        }
+        return bytes;
+    }
+};
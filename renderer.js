@@ -0,0 +1,76 @@
+// Offline renderer: replays note events into an OfflineAudioContext through the same sound sources
+// as live playback (SoundSources registry; the piano falls back to its synthesized voice when samples
+// are unavailable) and the same master effects (effects.js), then encodes the result as a WAV file (wav.js).
+const OfflineRenderer = {
+    channelCount: 2,
+    releaseTail: 0.6, // Seconds rendered after the last event so release ramps are not cut off
+
+    // Builds the events for a sustained chord: every frequency starts at 0 and is released after `length` seconds
+    createChordEvents(frequencies, length) {
+        const events = [];
+        frequencies.forEach((frequency, index) => {
+            events.push({ time: 0, type: 'noteon', voice: `chord:${index}`, frequency, velocity: 1 });
+        });
+        frequencies.forEach((frequency, index) => {
+            events.push({ time: length, type: 'noteoff', voice: `chord:${index}`, frequency, velocity: 0 });
+        });
+        return events;
+    },
+
+    // events: note and glide events in time order, as recorded by Recorder ({ time, type, voice, frequency, velocity, glideTime })
+    // Resolves to the rendered AudioBuffer.
+    async render(events, { soundSource, sampleRate }) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error('Offline rendering is not supported in this browser.');
+        }
+        const source = SoundSources.get(soundSource);
+        if (!source) {
+            throw new Error(`Unknown sound source: ${soundSource}`);
+        }
+        if (events.length === 0) {
+            throw new Error('There is nothing to render.');
+        }
+
+        const duration = events[events.length - 1].time + this.releaseTail + MasterEffects.getTailTime();
+        const context = new OfflineContext(this.channelCount, Math.ceil(duration * sampleRate), sampleRate);
+        const masterBus = context.createGain();
+        MasterEffects.createChain(context, masterBus).output.connect(context.destination);
+        const sounding = new Map(); // voice -> rendered voice
+        const startFrequencies = new Map(); // voice -> note-on frequency, which glides are measured from
+
+        events.forEach(event => {
+            if (event.type === 'noteon') {
+                if (event.frequency <= 0 || event.frequency >= sampleRate / 2) return; // Would alias at this sample rate
+                if (sounding.has(event.voice)) {
+                    sounding.get(event.voice).release(event.time);
+                }
+                const target = { context, destination: masterBus, when: event.time };
+                sounding.set(event.voice, source.noteOn(event.frequency, event.velocity || 1, target));
+                startFrequencies.set(event.voice, event.frequency);
+            } else if (event.type === 'glide') {
+                // Same curve as VoiceManager.glide: within 5% of the way after glideTime
+                if (!sounding.has(event.voice)) return;
+                const cents = 1200 * Math.log2(event.frequency / startFrequencies.get(event.voice));
+                sounding.get(event.voice).glide(cents, event.time, event.glideTime / 3);
+            } else if (sounding.has(event.voice)) {
+                sounding.get(event.voice).release(event.time);
+                sounding.delete(event.voice);
+            }
+        });
+        // Notes without a note-off are released at the end of the take
+        sounding.forEach(voice => voice.release(events[events.length - 1].time));
+
+        return context.startRendering();
+    },
+
+    // Renders the events and resolves to a WAV Blob
+    async renderToWav(events, { soundSource, sampleRate, bitDepth }) {
+        const audioBuffer = await this.render(events, { soundSource, sampleRate });
+        const channels = [];
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        return new Blob([encodeWav(channels, audioBuffer.sampleRate, bitDepth)], { type: 'audio/wav' });
+    }
+};
@@ -0,0 +1,223 @@
+// Scala scale (.scl) and keyboard mapping (.kbm) files, as used by most microtonal software
+// (formats: https://www.huygens-fokker.org/scala/scl_format.html and .../help.htm#mappings).
+// Parses both files with line-numbered errors, maps MIDI keys to scale pitches for Tuning's 'scale' layout,
+// and exports the grid's pitches as a scale plus a mapping.
+// A pitch is { ratio, cents, decimals }: ratio is { numerator, denominator } for pitches given as ratios and null
+// for pitches given in cents; decimals is how many decimals the file used, so labels look like the file.
+const Scala = {
+    unison: { ratio: { numerator: 1, denominator: 1 }, cents: 0, decimals: 0 },
+
+    // Parses one pitch line: "3/2", "2" (= 2/1) or "701.955" (cents, recognised by the period).
+    // Anything after the first whitespace is a comment. Throws an Error naming the line.
+    parsePitch(line, lineNumber) {
+        const token = line.trim().split(/\s+/)[0];
+        if (/^[-+]?(\d+\.\d*|\.\d+)$/.test(token)) {
+            const decimals = token.includes('.') ? token.length - token.indexOf('.') - 1 : 0;
+            return { ratio: null, cents: parseFloat(token), decimals };
+        }
+        const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+        const numerator = match ? parseInt(match[1], 10) : 0;
+        const denominator = match && match[2] !== undefined ? parseInt(match[2], 10) : 1;
+        if (!match || numerator <= 0 || denominator <= 0) {
+            throw new Error(`Line ${lineNumber}: "${token}" is not a ratio (e.g. 3/2) or a cents value (e.g. 701.955).`);
+        }
+        if (!Number.isSafeInteger(numerator) || !Number.isSafeInteger(denominator)) {
+            throw new Error(`Line ${lineNumber}: "${token}" has too many digits.`);
+        }
+        return { ratio: Tuning.reduceRatio(numerator, denominator), cents: 1200 * Math.log2(numerator / denominator), decimals: 0 };
+    },
+
+    // Lines that are not comments ('!'), with their 1-based line numbers
+    getDataLines(text) {
+        return String(text).split(/\r?\n/)
+            .map((line, index) => ({ line, lineNumber: index + 1 }))
+            .filter(({ line }) => !line.startsWith('!'));
+    },
+
+    // Returns { description, pitches, text }. pitches lists degrees 1..n; degree 0 is the implied 1/1 and the last
+    // pitch is the period (usually 2/1). Throws an Error with the line number of the first problem.
+    parseScl(text) {
+        const lines = this.getDataLines(text);
+        const lineCount = String(text).split(/\r?\n/).length;
+        if (lines.length < 2) {
+            throw new Error(`Line ${lineCount}: the file ends before the description and the number of notes.`);
+        }
+        const description = lines[0].line.trim();
+        const countToken = lines[1].line.trim().split(/\s+/)[0];
+        if (!/^\d+$/.test(countToken) || parseInt(countToken, 10) < 1) {
+            throw new Error(`Line ${lines[1].lineNumber}: expected the number of notes (a whole number of at least 1), found "${countToken}".`);
+        }
+        const noteCount = parseInt(countToken, 10);
+        const pitchLines = lines.slice(2, 2 + noteCount);
+        if (pitchLines.length < noteCount) {
+            throw new Error(`Line ${lineCount}: expected ${noteCount} pitches but the file ends after ${pitchLines.length}.`);
+        }
+        const pitches = pitchLines.map(({ line, lineNumber }) => this.parsePitch(line, lineNumber));
+        return { description, pitches, text: String(text) };
+    },
+
+    // Returns { mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping, text }.
+    // mapping[i] is the scale degree of key middleNote + i (repeating every mapSize keys), or null for 'x' (unmapped).
+    // Throws an Error with the line number of the first problem.
+    parseKbm(text) {
+        const lines = this.getDataLines(text).filter(({ line }) => line.trim() !== '');
+        const lineCount = String(text).split(/\r?\n/).length;
+        const headerNames = ['map size', 'first MIDI note', 'last MIDI note', 'middle note', 'reference note', 'reference frequency', 'formal octave degree'];
+        if (lines.length < headerNames.length) {
+            throw new Error(`Line ${lineCount}: the file ends before the ${headerNames[lines.length]}.`);
+        }
+        const header = headerNames.map((name, i) => {
+            const { line, lineNumber } = lines[i];
+            const token = line.trim().split(/\s+/)[0];
+            const isFrequency = name === 'reference frequency';
+            const value = isFrequency ? parseFloat(token) : parseInt(token, 10);
+            const valid = isFrequency ? /^\d*\.?\d+$|^\d+\.$/.test(token) && value > 0 : /^\d+$/.test(token);
+            const isNote = name.endsWith('note');
+            if (!valid || (isNote && value > 127)) {
+                throw new Error(`Line ${lineNumber}: expected the ${name}${isNote ? ' (0-127)' : ''}, found "${token}".`);
+            }
+            return value;
+        });
+        const [mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = header;
+        if (firstNote > lastNote) {
+            throw new Error(`Line ${lines[2].lineNumber}: the last MIDI note (${lastNote}) is below the first (${firstNote}).`);
+        }
+        const mapping = lines.slice(headerNames.length, headerNames.length + mapSize).map(({ line, lineNumber }) => {
+            const token = line.trim().split(/\s+/)[0];
+            if (token.toLowerCase() === 'x') return null;
+            if (!/^\d+$/.test(token)) {
+                throw new Error(`Line ${lineNumber}: expected a scale degree or "x" (unmapped key), found "${token}".`);
+            }
+            return parseInt(token, 10);
+        });
+        while (mapping.length < mapSize) mapping.push(null); // Keys without an entry are unmapped
+        return { mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping, text: String(text) };
+    },
+
+    // Mapping used when a scale is imported without a .kbm: key 60 plays 1/1 at the given frequency and
+    // the keys above walk up the scale, so the cells fill in order from the 1x cell.
+    getDefaultKbm(scl, frequency) {
+        return {
+            mapSize: 0, firstNote: 60, lastNote: 127, middleNote: 60, referenceNote: 60,
+            referenceFrequency: frequency, octaveDegree: scl.pitches.length, mapping: [], text: null
+        };
+    },
+
+    // Combines a scale and a mapping into the { scl, kbm } used by Tuning. Throws an Error if they do not fit together.
+    createScale(scl, kbm) {
+        const scale = { scl, kbm };
+        if (this.getKeyPitch(scale, kbm.referenceNote) === null) {
+            throw new Error(`The reference note ${kbm.referenceNote} of the .kbm is not mapped to a scale degree.`);
+        }
+        return scale;
+    },
+
+    // Scale degree of a MIDI key (may be negative or beyond the scale size), or null if the key is unmapped
+    getDegree(kbm, key) {
+        if (key < kbm.firstNote || key > kbm.lastNote) return null;
+        const offset = key - kbm.middleNote;
+        if (kbm.mapSize === 0) return offset; // Linear mapping
+        const repeat = Math.floor(offset / kbm.mapSize);
+        const degree = kbm.mapping[offset - repeat * kbm.mapSize];
+        return degree === null ? null : degree + repeat * kbm.octaveDegree;
+    },
+
+    // Pitch of any degree relative to the scale's 1/1: degrees beyond the scale repeat it at the period
+    getDegreePitch(scl, degree) {
+        const noteCount = scl.pitches.length;
+        const periods = Math.floor(degree / noteCount);
+        const index = degree - periods * noteCount;
+        const pitch = index === 0 ? this.unison : scl.pitches[index - 1];
+        const period = scl.pitches[noteCount - 1];
+        let ratio = null;
+        if (pitch.ratio && period.ratio) {
+            const power = Math.abs(periods);
+            const periodNumerator = Math.pow(period.ratio.numerator, power);
+            const periodDenominator = Math.pow(period.ratio.denominator, power);
+            const numerator = pitch.ratio.numerator * (periods >= 0 ? periodNumerator : periodDenominator);
+            const denominator = pitch.ratio.denominator * (periods >= 0 ? periodDenominator : periodNumerator);
+            if (Number.isSafeInteger(numerator) && Number.isSafeInteger(denominator)) {
+                ratio = Tuning.reduceRatio(numerator, denominator);
+            }
+        }
+        return { ratio, cents: pitch.cents + periods * period.cents, decimals: periods === 0 ? pitch.decimals : Math.max(pitch.decimals, period.decimals) };
+    },
+
+    getKeyPitch(scale, key) {
+        const degree = this.getDegree(scale.kbm, key);
+        return degree === null ? null : this.getDegreePitch(scale.scl, degree);
+    },
+
+    // Label in the file's own notation: "5/4" for ratios, "386.314¢" for cents
+    formatPitch(pitch) {
+        return pitch.ratio ? `${pitch.ratio.numerator}/${pitch.ratio.denominator}` : `${pitch.cents.toFixed(pitch.decimals)}¢`;
+    },
+
+    // --- Export ---
+
+    // Builds { scl, kbm } texts from the grid's pitches ([{ ratio (or null), cents }] relative to the 1x cell).
+    // Scala scales start at their lowest note, so the lowest distinct pitch becomes 1/1 and the highest the period;
+    // the .kbm maps consecutive keys to consecutive degrees and gives the 1x cell's key the fundamental.
+    exportGrid(pitches, baseFrequency, description) {
+        const distinct = [];
+        pitches.slice().sort((a, b) => a.cents - b.cents).forEach(pitch => {
+            const last = distinct[distinct.length - 1];
+            if (!last || pitch.cents - last.cents > 1e-6) distinct.push(pitch);
+        });
+        if (distinct.length < 2) {
+            throw new Error('The grid needs at least two different pitches to export a scale.');
+        }
+        const lowest = distinct[0];
+        const oneIndex = distinct.findIndex(pitch => Math.abs(pitch.cents) < 1e-6);
+        const degreeLines = distinct.slice(1).map(pitch => {
+            if (pitch.ratio && lowest.ratio) {
+                const ratio = Tuning.reduceRatio(pitch.ratio.numerator * lowest.ratio.denominator, pitch.ratio.denominator * lowest.ratio.numerator);
+                return ` ${ratio.numerator}/${ratio.denominator}`;
+            }
+            return ` ${(pitch.cents - lowest.cents).toFixed(6)}`;
+        });
+
+        // The 1x cell goes on key 60 where the range allows; the keys must stay within 0-127
+        const noteCount = Math.min(distinct.length, 128);
+        const referenceIndex = oneIndex === -1 ? 0 : oneIndex;
+        const firstNote = Math.max(0, Math.min(60 - referenceIndex, 128 - noteCount));
+        const referenceNote = Math.min(127, firstNote + referenceIndex);
+        const referenceFrequency = oneIndex === -1 || referenceNote !== firstNote + referenceIndex
+            ? baseFrequency * Math.pow(2, distinct[referenceNote - firstNote].cents / 1200)
+            : baseFrequency;
+
+        const scl = [
+            '! harmkey-grid.scl',
+            '!',
+            description,
+            ` ${degreeLines.length}`,
+            '!',
+            ...degreeLines,
+            ''
+        ].join('\n');
+        const kbm = [
+            '! harmkey-grid.kbm',
+            '! Map size (0 = linear: consecutive keys play consecutive degrees)',
+            '0',
+            '! First and last MIDI note to retune',
+            String(firstNote),
+            String(firstNote + noteCount - 1),
+            '! Middle note, where degree 0 (the lowest cell) is mapped',
+            String(firstNote),
+            '! Reference note and its frequency (the 1x cell)',
+            String(referenceNote),
+            referenceFrequency.toFixed(6),
+            '! Scale degree of the formal octave',
+            String(degreeLines.length),
+            ''
+        ].join('\n');
+        return { scl, kbm, truncated: distinct.length > noteCount };
+    }
+};
+
+// Node: see the end of tuning.js
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.Scala = Scala;
+    module.exports = Scala;
+    require('./tuning.js');
+}
@@ -0,0 +1,144 @@
+// Step sequencer and arpeggiator.
+// Pattern mode plays the cells stored in each step; arpeggiator mode plays one of the currently held notes per step,
+// using each step's gate and velocity as an accent pattern.
+// Notes are scheduled slightly ahead on the AudioContext clock (look-ahead scheduling): a short timer wakes up
+// every scheduleInterval ms and schedules every step that starts within lookAhead seconds, so timing does not
+// depend on when the timer fires.
+const Sequencer = {
+    maxSteps: 16,
+    steps: [], // { cells: [cell index, ...], gate: 0..1 of the step length, velocity: 0..1 }
+    tempo: 120, // Beats (quarter notes) per minute
+    stepsPerBeat: 4, // Steps are sixteenth notes
+    swing: 0, // 0..0.75: every second step is delayed by this fraction of a step
+    loopLength: 16, // Steps played before the loop restarts
+    mode: 'pattern', // 'pattern' or 'arpeggiator'
+    arpOrder: 'up', // 'up', 'down', 'random' or 'harmonic' (simplest ratio first)
+    arpOrders: { up: 'Up', down: 'Down', random: 'Random', harmonic: 'Harmonic order' },
+
+    lookAhead: 0.1, // Seconds scheduled ahead of the AudioContext clock
+    scheduleInterval: 25, // Milliseconds between scheduler runs
+    audioContext: null,
+    callbacks: null,
+    timer: null,
+    currentStep: 0, // Next step to schedule
+    nextStepTime: 0, // AudioContext time of the next step (before swing)
+    arpPosition: 0,
+
+    get isPlaying() {
+        return this.timer !== null;
+    },
+
+    get stepDuration() {
+        return 60 / this.tempo / this.stepsPerBeat;
+    },
+
+    // Empty steps with a half-step gate
+    clear() {
+        this.steps = [];
+        for (let i = 0; i < this.maxSteps; i++) {
+            this.steps.push({ cells: [], gate: 0.5, velocity: 0.8 });
+        }
+    },
+
+    // Replaces the steps, e.g. from saved settings. Missing steps are left empty.
+    // Throws an Error with a readable message if a step is malformed.
+    loadSteps(steps) {
+        if (!Array.isArray(steps) || steps.length > this.maxSteps) {
+            throw new Error(`The sequencer pattern must be a list of at most ${this.maxSteps} steps.`);
+        }
+        steps.forEach((step, index) => {
+            const valid = step && Array.isArray(step.cells) && step.cells.every(Number.isInteger) &&
+                Number.isFinite(step.gate) && step.gate >= 0 && step.gate <= 1 &&
+                Number.isFinite(step.velocity) && step.velocity >= 0 && step.velocity <= 1;
+            if (!valid) {
+                throw new Error(`Sequencer step ${index + 1} is malformed.`);
+            }
+        });
+        this.clear();
+        steps.forEach((step, index) => {
+            this.steps[index] = { cells: step.cells.slice(), gate: step.gate, velocity: step.velocity };
+        });
+    },
+
+    // Updates tempo, swing, loop length, mode or arpeggiator order. Out-of-range values are clamped.
+    configure(settings) {
+        if (Number.isFinite(settings.tempo)) this.tempo = Math.max(20, Math.min(300, settings.tempo));
+        if (Number.isFinite(settings.swing)) this.swing = Math.max(0, Math.min(0.75, settings.swing));
+        if (Number.isInteger(settings.loopLength)) this.loopLength = Math.max(1, Math.min(this.maxSteps, settings.loopLength));
+        if (settings.mode === 'pattern' || settings.mode === 'arpeggiator') this.mode = settings.mode;
+        if (settings.arpOrder in this.arpOrders) this.arpOrder = settings.arpOrder;
+    },
+
+    // callbacks = {
+    //   getHeldNotes() -> [{ cellIndex, frequency, ratio }]: notes the arpeggiator cycles through
+    //   playNote(note, velocity, startTime, endTime): schedules one note on the AudioContext clock
+    //   onStep(stepIndex, time): a step was scheduled to start at `time`
+    // }
+    start(audioContext, callbacks) {
+        this.stop();
+        this.audioContext = audioContext;
+        this.callbacks = callbacks;
+        this.currentStep = 0;
+        this.arpPosition = 0;
+        this.nextStepTime = audioContext.currentTime + 0.05; // Small margin so the first step is not late
+        this.timer = setInterval(() => this.schedule(), this.scheduleInterval);
+        this.schedule();
+    },
+
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    },
+
+    schedule() {
+        while (this.nextStepTime < this.audioContext.currentTime + this.lookAhead) {
+            this.scheduleStep(this.currentStep, this.nextStepTime);
+            this.nextStepTime += this.stepDuration;
+            this.currentStep = (this.currentStep + 1) % this.loopLength;
+        }
+    },
+
+    scheduleStep(stepIndex, stepTime) {
+        const step = this.steps[stepIndex];
+        const startTime = stepTime + (stepIndex % 2 === 1 ? this.swing * this.stepDuration : 0);
+        const endTime = startTime + step.gate * this.stepDuration;
+        this.callbacks.onStep(stepIndex, startTime);
+        if (step.velocity <= 0 || step.gate <= 0) return; // Rest
+
+        this.getStepNotes(step).forEach(note => {
+            this.callbacks.playNote(note, step.velocity, startTime, endTime);
+        });
+    },
+
+    getStepNotes(step) {
+        if (this.mode === 'arpeggiator') {
+            const notes = this.orderArpNotes(this.callbacks.getHeldNotes());
+            if (notes.length === 0) return [];
+            const index = this.arpOrder === 'random' ? Math.floor(Math.random() * notes.length) : this.arpPosition % notes.length;
+            this.arpPosition++;
+            return [notes[index]];
+        }
+        return step.cells
+            .filter(cellIndex => Tuning.isValidIndex(cellIndex)) // The grid may have shrunk since the step was set
+            .map(cellIndex => ({ cellIndex, frequency: Tuning.getFrequency(cellIndex), ratio: Tuning.getRatio(cellIndex) }))
+            .filter(note => note.frequency > 0); // Unmapped scale cells are silent
+    },
+
+    orderArpNotes(notes) {
+        const byFrequency = notes.slice().sort((a, b) => a.frequency - b.frequency);
+        if (this.arpOrder === 'down') {
+            return byFrequency.reverse();
+        }
+        if (this.arpOrder === 'harmonic') {
+            // Simplest ratio to the fundamental first (smallest numerator x denominator), e.g. 1x, 2x, 1/2, 3x, 3/2 …
+            // Notes without a ratio (scale cells tuned in cents) come last, lowest first
+            const complexity = note => note.ratio ? note.ratio.numerator * note.ratio.denominator : Infinity;
+            return byFrequency.sort((a, b) => (complexity(a) - complexity(b)) || 0); // Infinity - Infinity is NaN
+        }
+        return byFrequency;
+    }
+};
+
+Sequencer.clear();
@@ -0,0 +1,97 @@
+// Saved settings and shareable links. main.js collects every user-facing setting into one plain object
+// with a version field; it is kept in localStorage and can be encoded in the URL hash (#settings=...),
+// so a link reproduces the whole setup.
+// Settings written by an older version are upgraded step by step through `migrations`, so old links keep
+// loading after the schema grows. Sections missing from a link keep their defaults.
+const Settings = {
+    version: 1,
+    storageKey: 'harmkey-settings',
+    hashKey: 'settings',
+
+    // migrations[n](settings) turns version n settings into version n + 1 settings
+    migrations: {},
+
+    // Returns the settings in the current version. Throws an Error with a readable message.
+    upgrade(settings) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('The settings are not an object.');
+        }
+        if (!Number.isInteger(settings.version) || settings.version < 1) {
+            throw new Error('The settings have no version.');
+        }
+        if (settings.version > this.version) {
+            throw new Error(`The settings were made by a newer version (settings version ${settings.version}).`);
+        }
+        let upgraded = settings;
+        for (let version = settings.version; version < this.version; version++) {
+            upgraded = Object.assign(this.migrations[version](upgraded), { version: version + 1 });
+        }
+        return upgraded;
+    },
+
+    // JSON as URL-safe base64 (UTF-8, without padding)
+    encode(settings) {
+        let binary = '';
+        new TextEncoder().encode(JSON.stringify(settings)).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    // Inverse of encode, upgraded to the current version. Throws an Error with a readable message.
+    decode(text) {
+        let json;
+        try {
+            const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+            json = new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+        } catch (e) {
+            throw new Error('The settings in the link are damaged (not valid base64 text).');
+        }
+        let settings;
+        try {
+            settings = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`The settings in the link are damaged (${e.message}).`);
+        }
+        return this.upgrade(settings);
+    },
+
+    // Settings encoded in a location hash such as '#settings=eyJ2...', or null if the hash has none.
+    // Throws an Error if they are malformed.
+    readHash(hash) {
+        const value = new URLSearchParams(hash.replace(/^#/, '')).get(this.hashKey);
+        return value === null ? null : this.decode(value);
+    },
+
+    createLink(url, settings) {
+        return `${url.split('#')[0]}#${this.hashKey}=${this.encode(settings)}`;
+    },
+
+    // Saved settings, or null if there are none or they cannot be read
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved === null ? null : this.upgrade(JSON.parse(saved));
+        } catch (e) {
+            console.warn('Settings: Could not load saved settings:', e);
+            return null;
+        }
+    },
+
+    // Storage can be unavailable (private mode, file:// in some browsers); settings then last for the session only
+    store(settings) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Settings: Could not save settings:', e);
+        }
+    },
+
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Settings: Could not clear saved settings:', e);
+        }
+    }
+};
@@ -0,0 +1,32 @@
+// Sine voice shared by live playback (playTone/stopTone in main.js) and offline rendering (renderer.js).
+// Works with any AudioContext or OfflineAudioContext; `when` is a time on that context's clock.
+const SineVoice = {
+    level: 0.25, // Initial volume (approx -6dB from 0.5), held until release
+    releaseTime: 0.5, // Seconds of exponential fade-out after release
+
+    start(context, destination, frequency, velocity, when) {
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(frequency, when);
+
+        const gainNode = context.createGain();
+        const level = this.level * velocity;
+        gainNode.gain.setValueAtTime(level, when); // Hold this volume until release
+
+        oscillator.connect(gainNode);
+        gainNode.connect(destination);
+        oscillator.start(when);
+        return { oscillator, gainNode, level };
+    },
+
+    release(voice, when) {
+        const { oscillator, gainNode } = voice;
+        // Cancel any scheduled gain changes and start the ramp from the held level
+        gainNode.gain.cancelScheduledValues(when);
+        gainNode.gain.setValueAtTime(voice.level, when);
+        // Exponential ramp to (almost) zero
+        gainNode.gain.exponentialRampToValueAtTime(0.00001, when + this.releaseTime);
+        // Stop the oscillator slightly after the ramp is complete
+        oscillator.stop(when + this.releaseTime + 0.01);
+    }
+};
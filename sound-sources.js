@@ -0,0 +1,210 @@
+// Registry of sound sources. The sound source select and the offline renderer are built from it.
+// A sound source is an object with:
+//   id, name
+//   params: parameter schema, [{ id, name, min, max, step, value }] (numeric, shown as sliders under the controls)
+//   setParam(id, value): optional, called after a parameter changes
+//   noteOn(frequency, velocity, target) -> voice
+//       target = { context, destination, when } is optional; without it the note plays live, right now.
+//   load(): optional async preparation such as fetching samples
+// A voice has release(when) (when defaults to now), glide(cents, when, timeConstant) and an onended callback the caller may set.
+// glide slides the voice's pitch `cents` away from its note-on frequency through the detune of its pitched nodes.
+const SoundSources = {
+    audioContext: null,
+    sources: new Map(), // id -> sound source, in registration order
+    releaseTime: 0.5, // Release ramp used by the built-in oscillator sources
+
+    init(audioContext) {
+        this.audioContext = audioContext;
+        this.sources.forEach(source => {
+            if (source.load) {
+                source.load().catch(e => console.error(`SoundSources: Error loading ${source.id}:`, e));
+            }
+        });
+    },
+
+    register(source) {
+        this.sources.set(source.id, source);
+    },
+
+    get(id) {
+        return this.sources.get(id) || null;
+    },
+
+    list() {
+        return Array.from(this.sources.values());
+    },
+
+    setParam(sourceId, paramId, value) {
+        const source = this.get(sourceId);
+        const param = source && source.params.find(p => p.id === paramId);
+        if (!param || !Number.isFinite(value)) return;
+        param.value = Math.max(param.min, Math.min(param.max, value));
+        if (source.setParam) source.setParam(paramId, param.value);
+    },
+
+    getParam(source, paramId) {
+        return source.params.find(p => p.id === paramId).value;
+    },
+
+    // Live playback unless an explicit target (e.g. an OfflineAudioContext) is given
+    resolveTarget(target) {
+        return target || { context: this.audioContext, destination: this.audioContext.destination, when: this.audioContext.currentTime };
+    },
+
+    // Wraps the nodes of one note in a voice. endNode is the source node that stops last;
+    // releaseAt(when) schedules the release on the voice's own context.
+    // pitchParams are the detune AudioParams (in cents) that glide moves together, so every oscillator,
+    // partial and filter of the note keeps its ratio to the others.
+    createVoice(context, endNode, releaseAt, pitchParams = []) {
+        const voice = {
+            onended: null,
+            release(when) {
+                releaseAt(when !== undefined ? when : context.currentTime);
+            },
+            // setTargetAtTime approaches the new pitch exponentially; a time constant of 0 jumps straight to it
+            glide(cents, when, timeConstant) {
+                pitchParams.forEach(param => {
+                    if (timeConstant > 0) {
+                        param.setTargetAtTime(cents, when, timeConstant);
+                    } else {
+                        param.setValueAtTime(cents, when);
+                    }
+                });
+            }
+        };
+        endNode.onended = () => {
+            if (voice.onended) voice.onended();
+        };
+        return voice;
+    },
+
+    // Exponential fade-out from the held level, then stops the oscillators
+    rampOut(gainNode, level, when, oscillators) {
+        gainNode.gain.cancelScheduledValues(when);
+        gainNode.gain.setValueAtTime(level, when);
+        gainNode.gain.exponentialRampToValueAtTime(0.00001, when + this.releaseTime);
+        oscillators.forEach(oscillator => oscillator.stop(when + this.releaseTime + 0.01));
+    },
+
+    // Plain oscillator waveform through a low-pass filter; "Brightness" sets the cutoff in harmonics of the note
+    createWaveformSource(type, name, level) {
+        return {
+            id: type,
+            name,
+            params: [
+                { id: 'brightness', name: 'Brightness', min: 1, max: 32, step: 1, value: 12 }
+            ],
+            noteOn(frequency, velocity, target) {
+                const { context, destination, when } = SoundSources.resolveTarget(target);
+                const oscillator = context.createOscillator();
+                oscillator.type = type;
+                oscillator.frequency.setValueAtTime(frequency, when);
+
+                const filter = context.createBiquadFilter();
+                filter.type = 'lowpass';
+                const cutoff = frequency * SoundSources.getParam(this, 'brightness');
+                filter.frequency.setValueAtTime(Math.min(cutoff, context.sampleRate / 2), when);
+
+                const gainNode = context.createGain();
+                const heldLevel = level * velocity;
+                gainNode.gain.setValueAtTime(heldLevel, when);
+
+                oscillator.connect(filter);
+                filter.connect(gainNode);
+                gainNode.connect(destination);
+                oscillator.start(when);
+                return SoundSources.createVoice(context, oscillator, at => SoundSources.rampOut(gainNode, heldLevel, at, [oscillator]),
+                    [oscillator.detune, filter.detune]);
+            }
+        };
+    }
+};
+
+SoundSources.register({
+    id: 'sine',
+    name: 'Sine Wave',
+    params: [],
+    noteOn(frequency, velocity, target) {
+        const { context, destination, when } = SoundSources.resolveTarget(target);
+        const voice = SineVoice.start(context, destination, frequency, velocity, when);
+        return SoundSources.createVoice(context, voice.oscillator, at => SineVoice.release(voice, at), [voice.oscillator.detune]);
+    }
+});
+
+SoundSources.register({
+    id: 'piano',
+    name: 'Piano',
+    params: [],
+    load() {
+        return Piano.loadSamples();
+    },
+    noteOn(frequency, velocity, target) {
+        const { context, destination, when } = SoundSources.resolveTarget(target);
+        const voice = Piano.createVoice(context, destination, frequency, velocity, when);
+        return SoundSources.createVoice(context, voice.source, at => Piano.releaseVoice(voice, at), [voice.source.detune]);
+    }
+});
+
+SoundSources.register({
+    id: 'additive',
+    name: 'Additive',
+    params: [
+        {
+            id: 'stretch', name: 'Stretch', min: 0, max: 0.5, step: 0.01,
+            get value() { return AdditiveVoice.stretch; }, // Presets change the stretch too
+            set value(stretch) { AdditiveVoice.setStretch(stretch); }
+        }
+    ],
+    noteOn(frequency, velocity, target) {
+        const { context, destination, when } = SoundSources.resolveTarget(target);
+        const voice = AdditiveVoice.start(context, destination, frequency, velocity, when);
+        return SoundSources.createVoice(context, voice.oscillators[0], at => AdditiveVoice.release(voice, at), voice.oscillators.map(oscillator => oscillator.detune));
+    }
+});
+
+SoundSources.register(SoundSources.createWaveformSource('sawtooth', 'Sawtooth', 0.12));
+SoundSources.register(SoundSources.createWaveformSource('square', 'Square', 0.1));
+SoundSources.register(SoundSources.createWaveformSource('triangle', 'Triangle', 0.22));
+
+// Two-operator FM: a sine modulator at ratio x the note frequency drives the carrier's frequency.
+// The modulation index starts at "Index" and decays towards a fifth of it, like a struck tone getting darker.
+SoundSources.register({
+    id: 'fm',
+    name: 'FM (2-operator)',
+    params: [
+        { id: 'ratio', name: 'Ratio', min: 0.5, max: 8, step: 0.5, value: 2 },
+        { id: 'index', name: 'Index', min: 0, max: 10, step: 0.1, value: 3 },
+        { id: 'decay', name: 'Index decay (s)', min: 0.05, max: 5, step: 0.05, value: 0.8 }
+    ],
+    noteOn(frequency, velocity, target) {
+        const { context, destination, when } = SoundSources.resolveTarget(target);
+        const ratio = SoundSources.getParam(this, 'ratio');
+        const index = SoundSources.getParam(this, 'index');
+        const decay = SoundSources.getParam(this, 'decay');
+
+        const carrier = context.createOscillator();
+        carrier.frequency.setValueAtTime(frequency, when);
+
+        const modulator = context.createOscillator();
+        const modulatorFrequency = frequency * ratio;
+        modulator.frequency.setValueAtTime(modulatorFrequency, when);
+
+        // Peak frequency deviation = index * modulator frequency
+        const modulationDepth = context.createGain();
+        modulationDepth.gain.setValueAtTime(index * modulatorFrequency, when);
+        modulationDepth.gain.setTargetAtTime(index * modulatorFrequency * 0.2, when, decay / 3);
+
+        const gainNode = context.createGain();
+        const heldLevel = 0.25 * velocity;
+        gainNode.gain.setValueAtTime(heldLevel, when);
+
+        modulator.connect(modulationDepth);
+        modulationDepth.connect(carrier.frequency);
+        carrier.connect(gainNode);
+        gainNode.connect(destination);
+        modulator.start(when);
+        carrier.start(when);
+        return SoundSources.createVoice(context, carrier, at => SoundSources.rampOut(gainNode, heldLevel, at, [carrier, modulator]),
+            [carrier.detune, modulator.detune]);
+    }
+});
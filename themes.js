@@ -0,0 +1,26 @@
+// Colour themes of the harmonic grid, chosen with the Theme select. Embedded keyboards (harmkey.mjs) draw their cells
+// from the same table, so an embedded grid looks like the app's.
+const Themes = {
+    standard: {
+        cell: '#4CAF50',
+        active: '#3e8e41', // Played by any input, the take playback or the sequencer
+        latched: '#1f7a8c',
+        text: 'white',
+        activeText: 'white', // On active and latched cells
+        editOutline: '#ffd54f', // Cell waiting for a key or a controller button
+        focusOutline: '#0d2b4f', // Cell focused in the accessible grid
+        quizTarget: '#ffffff',
+        quizWrong: '#e53935'
+    },
+    'high-contrast': {
+        cell: '#000000',
+        active: '#ffff00',
+        latched: '#00e5ff',
+        text: '#ffffff',
+        activeText: '#000000',
+        editOutline: '#ff9100',
+        focusOutline: '#ff40ff',
+        quizTarget: '#00e676',
+        quizWrong: '#ff1744'
+    }
+};
@@ -0,0 +1,234 @@
+// Tuning model: owns the grid geometry and the cell -> ratio -> frequency mapping.
+// Cells are addressed by a linear index that starts at 0 in the bottom-left corner
+// and increases left to right, then bottom to top.
+// Three layouts are available:
+//   'linear':  cells below the reference cell are subharmonics (1/2, 1/3, ...), cells above it are harmonics (2x, 3x, ...).
+//   'lattice': a just-intonation lattice (Tonnetz) centred on the reference cell.
+//              Each step right multiplies by 3/2, each step up by 5/4.
+//   'scale':   an imported Scala scale (see scala.js). Cells play consecutive MIDI keys of its .kbm mapping and the
+//              reference cell plays the .kbm reference note. Cells tuned in cents have no ratio (getRatio returns null)
+//              and unmapped keys leave their cell silent (frequency 0).
+const Tuning = {
+    baseFrequency: 440, // Frequency of the 1x cell (A4 by default)
+    gridWidth: 7,
+    gridHeight: 7,
+    referenceCellIndex: 21, // Linear index of the 1x cell (= number of subharmonic cells in the linear layout)
+    layout: 'linear', // 'linear', 'lattice' or 'scale'
+    octaveReduction: false, // Lattice only: fold every ratio into the octave [1, 2)
+    scale: null, // Imported Scala scale { scl, kbm } for the 'scale' layout
+
+    minGridSize: 1,
+    maxGridSize: 32,
+    noteNames: { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 },
+
+    get cellCount() {
+        return this.gridWidth * this.gridHeight;
+    },
+
+    // A separate tuning that starts from this one's settings, so several keyboards on one page can differ
+    // (see harmkey.mjs); the app itself uses Tuning directly
+    create() {
+        return Object.assign(Object.create(this), {
+            baseFrequency: this.baseFrequency,
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            referenceCellIndex: this.referenceCellIndex,
+            layout: this.layout,
+            octaveReduction: this.octaveReduction,
+            scale: this.scale
+        });
+    },
+
+    // Applies new settings. Missing fields keep their current value.
+    // Returns an error message string if a value is invalid, otherwise null (and the model is updated).
+    configure(settings) {
+        const next = {
+            baseFrequency: settings.baseFrequency !== undefined ? settings.baseFrequency : this.baseFrequency,
+            gridWidth: settings.gridWidth !== undefined ? settings.gridWidth : this.gridWidth,
+            gridHeight: settings.gridHeight !== undefined ? settings.gridHeight : this.gridHeight,
+            referenceCellIndex: settings.referenceCellIndex !== undefined ? settings.referenceCellIndex : this.referenceCellIndex,
+            layout: settings.layout !== undefined ? settings.layout : this.layout,
+            octaveReduction: settings.octaveReduction !== undefined ? Boolean(settings.octaveReduction) : this.octaveReduction
+        };
+
+        if (!Number.isFinite(next.baseFrequency) || next.baseFrequency <= 0) {
+            return 'Fundamental must be a positive frequency.';
+        }
+        for (const key of ['gridWidth', 'gridHeight']) {
+            if (!Number.isInteger(next[key]) || next[key] < this.minGridSize || next[key] > this.maxGridSize) {
+                return `Grid width and height must be whole numbers from ${this.minGridSize} to ${this.maxGridSize}.`;
+            }
+        }
+        if (next.layout !== 'linear' && next.layout !== 'lattice' && next.layout !== 'scale') {
+            return `Unknown layout: ${next.layout}`;
+        }
+        if (next.layout === 'scale' && !this.scale) {
+            return 'Import a Scala scale first.';
+        }
+        const cellCount = next.gridWidth * next.gridHeight;
+        if (!Number.isInteger(next.referenceCellIndex) || next.referenceCellIndex < 0 || next.referenceCellIndex >= cellCount) {
+            return `The 1x cell must be between 0 and ${cellCount - 1}.`;
+        }
+        if (next.layout === 'lattice' && !this.isLatticeExact(next.gridWidth, next.gridHeight, next.referenceCellIndex, next.octaveReduction)) {
+            return 'The lattice reaches ratios too large to compute exactly; use a smaller grid or move the 1x cell towards the middle.';
+        }
+
+        Object.assign(this, next);
+        return null;
+    },
+
+    // Parses a fundamental given in Hz ("432", "415.3 Hz") or as a note name ("A4", "Bb3", "C#5").
+    // Note names use 12-TET with A4 = 440 Hz. Returns null if the text is not understood.
+    parseFrequency(text) {
+        const trimmed = String(text).trim();
+        const hzMatch = trimmed.match(/^(\d+(?:\.\d+)?)\s*(?:hz)?$/i);
+        if (hzMatch) {
+            const frequency = parseFloat(hzMatch[1]);
+            return frequency > 0 ? frequency : null;
+        }
+
+        const noteMatch = trimmed.match(/^([a-g])([#b♯♭]?)(-?\d+)$/i);
+        if (noteMatch) {
+            let semitone = this.noteNames[noteMatch[1].toLowerCase()];
+            if (noteMatch[2] === '#' || noteMatch[2] === '♯') semitone++;
+            if (noteMatch[2] === 'b' || noteMatch[2] === '♭') semitone--;
+            const octave = parseInt(noteMatch[3], 10);
+            const midiNote = (octave + 1) * 12 + semitone; // A4 = 69
+            return 440 * Math.pow(2, (midiNote - 69) / 12);
+        }
+        return null;
+    },
+
+    // Canvas row 0 is the top row, so the bottom row of the grid has linear index 0.
+    getLinearIndex(col, row) {
+        return (this.gridHeight - 1 - row) * this.gridWidth + col;
+    },
+
+    getCellPosition(linearIndex) {
+        return {
+            col: linearIndex % this.gridWidth,
+            row: this.gridHeight - 1 - Math.floor(linearIndex / this.gridWidth)
+        };
+    },
+
+    isValidIndex(linearIndex) {
+        return Number.isInteger(linearIndex) && linearIndex >= 0 && linearIndex < this.cellCount;
+    },
+
+    // Ratio of a cell to the fundamental as a fraction in lowest terms
+    // (null for scale cells tuned in cents or left unmapped)
+    getRatio(linearIndex) {
+        if (this.layout === 'lattice') {
+            return this.getLatticeRatio(linearIndex);
+        }
+        if (this.layout === 'scale') {
+            const pitch = this.getScalePitch(linearIndex);
+            const reference = this.getScalePitch(this.referenceCellIndex);
+            if (!pitch || !pitch.ratio || !reference.ratio) return null;
+            return this.reduceRatio(pitch.ratio.numerator * reference.ratio.denominator, pitch.ratio.denominator * reference.ratio.numerator);
+        }
+        if (linearIndex >= this.referenceCellIndex) {
+            return { numerator: linearIndex - this.referenceCellIndex + 1, denominator: 1 }; // 1x, 2x, 3x, ...
+        }
+        return { numerator: 1, denominator: this.referenceCellIndex - linearIndex + 1 }; // 1/2, 1/3, ...
+    },
+
+    getLatticeRatio(linearIndex) {
+        const cell = this.getCellPosition(linearIndex);
+        const reference = this.getCellPosition(this.referenceCellIndex);
+        const fifths = cell.col - reference.col; // Steps of 3/2 (right is up a fifth)
+        const thirds = reference.row - cell.row; // Steps of 5/4 (canvas rows grow downwards)
+        const ratio = this.computeLatticeRatio(fifths, thirds, this.octaveReduction);
+        if (!ratio) {
+            throw new RangeError(`Lattice cell ${linearIndex} is too far from the 1x cell to compute its ratio exactly.`);
+        }
+        return ratio;
+    },
+
+    // (3/2)^fifths * (5/4)^thirds in lowest terms, optionally folded into [1, 2).
+    // Returns null if the numerator or denominator would not be a safe integer, since doubles would silently round it.
+    computeLatticeRatio(fifths, thirds, octaveReduction) {
+        // Negative exponents are moved to the other side of the fraction
+        let numerator = Math.pow(fifths >= 0 ? 3 : 2, Math.abs(fifths)) * Math.pow(thirds >= 0 ? 5 : 4, Math.abs(thirds));
+        let denominator = Math.pow(fifths >= 0 ? 2 : 3, Math.abs(fifths)) * Math.pow(thirds >= 0 ? 4 : 5, Math.abs(thirds));
+        const isSafe = () => Number.isSafeInteger(numerator) && Number.isSafeInteger(denominator);
+        if (!isSafe()) return null;
+
+        if (octaveReduction) {
+            while (numerator >= 2 * denominator) denominator *= 2;
+            while (numerator < denominator) numerator *= 2;
+            if (!isSafe()) return null;
+        }
+        return this.reduceRatio(numerator, denominator);
+    },
+
+    // Whether every cell of a lattice with this geometry has an exact ratio. The largest exponents are in the corners.
+    isLatticeExact(gridWidth, gridHeight, referenceCellIndex, octaveReduction) {
+        const referenceCol = referenceCellIndex % gridWidth;
+        const referenceRow = Math.floor(referenceCellIndex / gridWidth); // Counted from the bottom, like linear indices
+        return [0, gridWidth - 1].every(col => [0, gridHeight - 1].every(row => (
+            this.computeLatticeRatio(col - referenceCol, row - referenceRow, octaveReduction) !== null
+        )));
+    },
+
+    // Pitch of a scale cell relative to the scale's 1/1, or null if its key is unmapped
+    getScalePitch(linearIndex) {
+        return Scala.getKeyPitch(this.scale, this.scale.kbm.referenceNote + linearIndex - this.referenceCellIndex);
+    },
+
+    reduceRatio(numerator, denominator) {
+        let a = numerator;
+        let b = denominator;
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return { numerator: numerator / a, denominator: denominator / a };
+    },
+
+    // Linear index of the cell that plays this ratio, or null if no cell on the grid does
+    findCell(ratio) {
+        const { numerator, denominator } = this.reduceRatio(ratio.numerator, ratio.denominator);
+        for (let linearIndex = 0; linearIndex < this.cellCount; linearIndex++) {
+            const cellRatio = this.getRatio(linearIndex);
+            if (cellRatio && cellRatio.numerator === numerator && cellRatio.denominator === denominator) return linearIndex;
+        }
+        return null;
+    },
+
+    getHarmonic(linearIndex) {
+        if (this.layout === 'scale') {
+            const pitch = this.getScalePitch(linearIndex);
+            return pitch ? Math.pow(2, (pitch.cents - this.getScalePitch(this.referenceCellIndex).cents) / 1200) : 0;
+        }
+        const ratio = this.getRatio(linearIndex);
+        return ratio.numerator / ratio.denominator;
+    },
+
+    getFrequency(linearIndex) {
+        return this.baseFrequency * this.getHarmonic(linearIndex);
+    },
+
+    getLabel(linearIndex) {
+        if (this.layout === 'scale') {
+            const pitch = this.getScalePitch(linearIndex);
+            return pitch ? Scala.formatPitch(pitch) : '–'; // Scale cells show the pitch as written in the .scl
+        }
+        return this.getRatioLabel(this.getRatio(linearIndex));
+    },
+
+    // Cell-style label for any ratio, also for chord members that have no cell
+    getRatioLabel(ratio) {
+        if (this.layout === 'lattice' || this.layout === 'scale') {
+            return `${ratio.numerator}/${ratio.denominator}`; // Lattice and scale ratios always show as fractions, e.g. 15/8
+        }
+        return ratio.denominator === 1 ? `${ratio.numerator}x` : `${ratio.numerator}/${ratio.denominator}`;
+    }
+};
+
+// Node (tests, scripts) require()s or imports the model instead of loading it with a <script> tag.
+// scala.js looks Tuning up by its global name, as in the browser, so it is made global there too.
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.Tuning = Tuning;
+    module.exports = Tuning;
+    require('./scala.js');
+}
@@ -0,0 +1,75 @@
+// Zoom and pan of the harmonic canvas. Large grids (up to Tuning.maxGridSize squared cells) do not fit the screen
+// at a playable size, so the canvas shows a window onto the grid that can be zoomed and moved.
+// Positions are fractions, independent of the canvas's pixel size: a grid point is (0, 0) at the grid's top-left
+// corner and (1, 1) at its bottom-right corner, a canvas point likewise for the canvas. At zoom 1 the whole grid
+// fits the canvas; at zoom 4 the canvas shows a quarter of the grid's width and height.
+const Viewport = {
+    minZoom: 1,
+    maxZoom: 16,
+    zoom: 1,
+    centerX: 0.5, // Grid point in the middle of the canvas
+    centerY: 0.5,
+
+    reset() {
+        this.zoom = 1;
+        this.centerX = 0.5;
+        this.centerY = 0.5;
+    },
+
+    isZoomed() {
+        return this.zoom > this.minZoom;
+    },
+
+    // Grid point at the canvas's top-left corner
+    getOrigin() {
+        return { x: this.centerX - 0.5 / this.zoom, y: this.centerY - 0.5 / this.zoom };
+    },
+
+    // Grid point under a canvas point; the inverse of the drawing transform, used for hit-testing
+    toGrid(canvasX, canvasY) {
+        const origin = this.getOrigin();
+        return { x: origin.x + canvasX / this.zoom, y: origin.y + canvasY / this.zoom };
+    },
+
+    // Zooms by `factor` while the grid point under the canvas point (canvasX, canvasY) stays where it is,
+    // like a pinch around the fingers or the wheel around the mouse
+    zoomAt(factor, canvasX = 0.5, canvasY = 0.5) {
+        if (!Number.isFinite(factor) || factor <= 0) return;
+        const point = this.toGrid(canvasX, canvasY);
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+        this.centerX = point.x - canvasX / this.zoom + 0.5 / this.zoom;
+        this.centerY = point.y - canvasY / this.zoom + 0.5 / this.zoom;
+        this.clamp();
+    },
+
+    // Moves the grid with a drag of (deltaX, deltaY) canvas widths and heights
+    panBy(deltaX, deltaY) {
+        this.centerX -= deltaX / this.zoom;
+        this.centerY -= deltaY / this.zoom;
+        this.clamp();
+    },
+
+    // Pans as little as needed to bring a grid area into view, e.g. a cell focused from the keyboard
+    reveal(left, top, right, bottom) {
+        const origin = this.getOrigin();
+        const size = 1 / this.zoom;
+        if (left < origin.x) {
+            this.centerX += left - origin.x;
+        } else if (right > origin.x + size) {
+            this.centerX += right - origin.x - size;
+        }
+        if (top < origin.y) {
+            this.centerY += top - origin.y;
+        } else if (bottom > origin.y + size) {
+            this.centerY += bottom - origin.y - size;
+        }
+        this.clamp();
+    },
+
+    // Keeps the canvas inside the grid, so no empty space shows beside it
+    clamp() {
+        const half = 0.5 / this.zoom;
+        this.centerX = Math.max(half, Math.min(1 - half, this.centerX));
+        this.centerY = Math.max(half, Math.min(1 - half, this.centerY));
+    }
+};
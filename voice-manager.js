@@ -0,0 +1,141 @@
+// Voice manager: owns every sounding voice, keyed by a unique voice ID.
+// Each note-on is tied to its owner (the input that played it, e.g. 'pointer:1', 'key:KeyZ' or 'midi:60')
+// and stores the frequency actually played, so two inputs on the same harmonic never cut each other off.
+// Enforces a polyphony limit by stealing the oldest or quietest voice.
+// Every voice plays through its own gain node, so its volume can be changed while it sounds (e.g. latched drones),
+// and its pitch can glide away from the note-on frequency (glide mode on the canvas).
+// A release scheduled ahead (sequencer, quiz prompts) keeps the voice registered until its release time,
+// so it still counts towards the polyphony limit and Panic can cut it short.
+const VoiceManager = {
+    audioContext: null,
+    destination: null, // Node every voice gain connects to
+    maxVoices: 16,
+    stealingMode: 'oldest', // 'oldest' or 'quietest' (lowest velocity x volume, oldest first on ties)
+    voices: new Map(), // voiceId -> { id, owner, frequency, startFrequency, velocity, volume, sourceId, voice, outputGain, releaseAt }, in note-on order
+    nextVoiceId: 1,
+    onVoiceStolen: null, // Called with the stolen entry so inputs can forget it
+
+    init(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.destination = destination;
+    },
+
+    // A separate voice manager with its own voices, e.g. one per embedded keyboard (see harmkey.mjs).
+    // It starts with this manager's polyphony settings; the app itself uses VoiceManager directly.
+    create(audioContext, destination) {
+        const manager = Object.assign(Object.create(this), {
+            maxVoices: this.maxVoices,
+            stealingMode: this.stealingMode,
+            voices: new Map(),
+            nextVoiceId: 1,
+            onVoiceStolen: null
+        });
+        manager.init(audioContext, destination);
+        return manager;
+    },
+
+    // Starts a note with the given sound source and returns its voice ID.
+    // volume (0..1) is the voice's own gain on top of the velocity and can be changed later with setVolume.
+    // when (AudioContext time) schedules the note ahead, e.g. for the sequencer; it defaults to now.
+    noteOn(owner, frequency, sourceId, velocity = 1, volume = 1, when = this.audioContext.currentTime) {
+        this.removeReleased();
+        while (this.voices.size >= this.maxVoices) {
+            this.stealVoice();
+        }
+
+        const context = this.audioContext;
+        const outputGain = context.createGain();
+        outputGain.gain.setValueAtTime(volume, when);
+        outputGain.connect(this.destination);
+
+        const source = SoundSources.get(sourceId) || SoundSources.get('sine');
+        const id = this.nextVoiceId++;
+        const voice = source.noteOn(frequency, velocity, { context, destination: outputGain, when });
+        const entry = { id, owner, frequency, startFrequency: frequency, velocity, volume, sourceId: source.id, voice, outputGain, releaseAt: null };
+        this.voices.set(id, entry);
+        voice.onended = () => {
+            // The voice ended by itself (e.g. a decaying piano note)
+            this.voices.delete(id);
+            outputGain.disconnect();
+        };
+        return id;
+    },
+
+    setVolume(voiceId, volume) {
+        const entry = this.voices.get(voiceId);
+        if (!entry) return;
+        entry.volume = volume;
+        entry.outputGain.gain.setTargetAtTime(volume, this.audioContext.currentTime, 0.02); // Smoothed to avoid clicks
+    },
+
+    // Slides a voice to a new frequency. The pitch approaches it exponentially and is within 5% of the way
+    // after glideTime seconds (0 jumps). Unknown or already released IDs are ignored.
+    glide(voiceId, frequency, glideTime) {
+        const entry = this.voices.get(voiceId);
+        if (!entry) return;
+        entry.frequency = frequency;
+        entry.voice.glide(1200 * Math.log2(frequency / entry.startFrequency), this.audioContext.currentTime, glideTime / 3);
+    },
+
+    // Releases one voice (at `when`, default now); unknown or already released IDs are ignored.
+    // A voice whose release is still ahead can be released again earlier, e.g. by Panic or voice stealing.
+    noteOff(voiceId, when) {
+        const entry = this.voices.get(voiceId);
+        if (!entry) return;
+        if (when > this.audioContext.currentTime) {
+            entry.releaseAt = when;
+        } else {
+            this.voices.delete(voiceId);
+        }
+        entry.voice.onended = () => {
+            // After the release ramp
+            this.voices.delete(voiceId);
+            entry.outputGain.disconnect();
+        };
+        try {
+            // Every sound source fades out with its own release ramp; let the ramp play out.
+            entry.voice.release(when);
+        } catch (e) {
+            console.warn(`VoiceManager: Error while releasing voice ${voiceId} (${entry.frequency} Hz):`, e);
+        }
+    },
+
+    stealVoice() {
+        let victim = null;
+        for (const entry of this.voices.values()) { // Map order is oldest first
+            if (!victim || (this.stealingMode === 'quietest' && entry.velocity * entry.volume < victim.velocity * victim.volume)) {
+                victim = entry;
+            }
+            if (this.stealingMode === 'oldest') break;
+        }
+        if (!victim) return;
+        this.noteOff(victim.id);
+        if (this.onVoiceStolen) this.onVoiceStolen(victim);
+    },
+
+    setMaxVoices(maxVoices) {
+        this.maxVoices = Math.max(1, Math.floor(maxVoices));
+        this.removeReleased();
+        while (this.voices.size > this.maxVoices) {
+            this.stealVoice();
+        }
+    },
+
+    // Forgets voices whose scheduled release time has passed; their release ramps play out on their own
+    removeReleased() {
+        const now = this.audioContext.currentTime;
+        this.voices.forEach((entry, voiceId) => {
+            if (entry.releaseAt !== null && entry.releaseAt <= now) this.voices.delete(voiceId);
+        });
+    },
+
+    getFrequencies() {
+        this.removeReleased();
+        return Array.from(this.voices.values(), entry => entry.frequency);
+    },
+
+    // Panic: releases every voice
+    allNotesOff() {
+        Array.from(this.voices.keys()).forEach(voiceId => this.noteOff(voiceId));
+    }
+};
@@ -0,0 +1,70 @@
+// WAV encoder: turns PCM samples into a RIFF/WAVE file.
+// Standalone (no DOM or Web Audio), so it can be loaded with a <script> tag or require()d in Node for unit tests.
+//   channels:   array of Float32Array, one per channel, all the same length, samples in -1..1
+//   sampleRate: e.g. 44100
+//   bitDepth:   16 or 24
+// Returns an ArrayBuffer holding the complete file.
+function encodeWav(channels, sampleRate, bitDepth = 16) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+        throw new Error('encodeWav: at least one channel is required.');
+    }
+    if (bitDepth !== 16 && bitDepth !== 24) {
+        throw new Error(`encodeWav: unsupported bit depth ${bitDepth} (use 16 or 24).`);
+    }
+    if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+        throw new Error(`encodeWav: invalid sample rate ${sampleRate}.`);
+    }
+    const frameCount = channels[0].length;
+    if (channels.some(channel => channel.length !== frameCount)) {
+        throw new Error('encodeWav: all channels must have the same length.');
+    }
+
+    const channelCount = channels.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channelCount * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const maxValue = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+    for (let frame = 0; frame < frameCount; frame++) {
+        for (let channel = 0; channel < channelCount; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][frame] || 0)); // Clip, and treat NaN as silence
+            const value = Math.round(sample * maxValue);
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return buffer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeWav };
+}